@@ -0,0 +1,950 @@
+/**
+ * Physics and analysis core of the Virtual Physics Laboratory.
+ *
+ * Everything here is free of the DOM: the simulation models, the analysis of a set of readings and the
+ * validation of measured values. script.js builds the user interface on top of it, and the same functions
+ * can be used headless, e.g. in grading scripts:
+ *
+ *   const PhysicsCore = require('./physics.js');
+ *   const { g } = PhysicsCore.analyzePendulum(readings, { length: 0.001, time: 0.01 });
+ *
+ * In the browser the module is the global `PhysicsCore`. Lengths are in metres, masses in kilograms and times
+ * in seconds throughout. Functions that check a reading return { error } with a message for the student
+ * instead of a result when the reading is invalid.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.PhysicsCore = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STANDARD_GRAVITY = 9.81; // Standard gravity constant for Earth
+
+    // --- GRAVITY ---
+
+    // Surface gravity of solar-system bodies in m/s², in order from the Sun (the Moon after the Earth)
+    const SOLAR_SYSTEM_BODIES = [
+        { id: 'mercury', name: 'Mercury', g: 3.70 },
+        { id: 'venus', name: 'Venus', g: 8.87 },
+        { id: 'earth', name: 'Earth', g: STANDARD_GRAVITY },
+        { id: 'moon', name: 'Moon', g: 1.62 },
+        { id: 'mars', name: 'Mars', g: 3.72 },
+        { id: 'jupiter', name: 'Jupiter', g: 24.79 },
+        { id: 'saturn', name: 'Saturn', g: 10.44 },
+        { id: 'uranus', name: 'Uranus', g: 8.69 },
+        { id: 'neptune', name: 'Neptune', g: 11.15 },
+        { id: 'pluto', name: 'Pluto', g: 0.62 },
+    ];
+
+    /**
+     * Calculates the local g on the Earth from the WGS 84 normal gravity (Somigliana's formula) at sea level,
+     * reduced by the free-air gradient of 3.086 × 10⁻⁶ s⁻² per metre of altitude.
+     * @param {number} latitude - Geodetic latitude in degrees, positive north.
+     * @param {number} altitude - Height above sea level in metres.
+     * @returns {number} - g in m/s², from 9.780 at the equator to 9.832 at the poles at sea level.
+     */
+    function localGravity(latitude, altitude) {
+        const sin2 = Math.pow(Math.sin(latitude * Math.PI / 180), 2);
+        const seaLevel = 9.7803253359 * (1 + 0.00193185265241 * sin2) / Math.sqrt(1 - 0.00669437999013 * sin2);
+        return seaLevel - 3.086e-6 * altitude;
+    }
+
+    // --- STATISTICS ---
+
+    /**
+     * Calculates the slope, intercept, and R-squared value for a set of data points,
+     * with the standard errors of the slope and intercept estimated from the scatter about the line.
+     * The standard errors need at least three points and are zero below that.
+     * @param {number[]} x - Array of x-coordinates.
+     * @param {number[]} y - Array of y-coordinates.
+     * @returns {object} - An object containing the slope, intercept, r2, slopeErr and interceptErr.
+     */
+    function linearRegression(x, y) {
+        const n = x.length;
+        if (n === 0) return { slope: 0, intercept: 0, r2: 0, slopeErr: 0, interceptErr: 0 };
+        let sum_x = 0, sum_y = 0, sum_xy = 0, sum_xx = 0, sum_yy = 0;
+        for (let i = 0; i < n; i++) {
+            sum_x += x[i]; sum_y += y[i]; sum_xy += (x[i] * y[i]);
+            sum_xx += (x[i] * x[i]); sum_yy += (y[i] * y[i]);
+        }
+        const denominator = (n * sum_xx - sum_x * sum_x);
+        if (denominator === 0) return { slope: 0, intercept: 0, r2: 0, slopeErr: 0, interceptErr: 0 };
+        const slope = (n * sum_xy - sum_x * sum_y) / denominator;
+        const intercept = (sum_y - slope * sum_x) / n;
+        const r2_denominator = Math.sqrt((n * sum_xx - sum_x * sum_x) * (n * sum_yy - sum_y * sum_y));
+        const r2 = r2_denominator === 0 ? 1 : Math.pow((n * sum_xy - sum_x * sum_y) / r2_denominator, 2);
+        if (n < 3) return { slope, intercept, r2, slopeErr: 0, interceptErr: 0 };
+        let sum_res2 = 0;
+        for (let i = 0; i < n; i++) sum_res2 += Math.pow(y[i] - (slope * x[i] + intercept), 2);
+        const s2 = sum_res2 / (n - 2); // Residual variance
+        const sxx = denominator / n; // Σ(x - x̄)²
+        const slopeErr = Math.sqrt(s2 / sxx);
+        const interceptErr = Math.sqrt(s2 * (1 / n + Math.pow(sum_x / n, 2) / sxx));
+        return { slope, intercept, r2, slopeErr, interceptErr };
+    }
+
+    /**
+     * Calculates standardized residuals about a fitted line: each residual divided by its expected spread,
+     * s√(1 - hᵢ), where s is the residual standard deviation and hᵢ the point's leverage.
+     * Needs at least three points and gives zeros below that.
+     * @param {number[]} x - Array of x-coordinates.
+     * @param {number[]} y - Array of y-coordinates.
+     * @param {object} fit - The slope and intercept from linearRegression().
+     * @returns {number[]} - The standardized residual of each point.
+     */
+    function standardizedResiduals(x, y, fit) {
+        const n = x.length;
+        if (n < 3) return x.map(() => 0);
+        const meanX = x.reduce((acc, v) => acc + v, 0) / n;
+        const sxx = x.reduce((acc, v) => acc + (v - meanX) * (v - meanX), 0);
+        const residuals = x.map((xi, i) => y[i] - (fit.slope * xi + fit.intercept));
+        const s = Math.sqrt(residuals.reduce((acc, res) => acc + res * res, 0) / (n - 2));
+        return residuals.map((res, i) => {
+            const leverage = 1 / n + Math.pow(x[i] - meanX, 2) / sxx;
+            return s > 0 && leverage < 1 ? res / (s * Math.sqrt(1 - leverage)) : 0;
+        });
+    }
+
+    /**
+     * Probability that a normally distributed value lies more than z standard deviations from the mean,
+     * using the Abramowitz and Stegun approximation of erfc (error below 1.5e-7).
+     * @param {number} z - Distance from the mean in standard deviations.
+     * @returns {number} - The two-sided tail probability.
+     */
+    function normalTailProbability(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        return poly * Math.exp(-x * x);
+    }
+
+    /**
+     * Applies Chauvenet's criterion: a point is suspect if fewer than half a point in a sample of this
+     * size is expected to lie as far from the line.
+     * @param {number[]} z - Standardized residuals of the points.
+     * @returns {boolean[]} - True for each suspect point.
+     */
+    function chauvenetOutliers(z) {
+        return z.map(zi => z.length * normalTailProbability(zi) < 0.5);
+    }
+
+    /**
+     * Fits a straight line and checks each point against it: the residuals, their standardized values and the
+     * points that fail Chauvenet's criterion.
+     * @param {number[]} x - Array of x-coordinates.
+     * @param {number[]} y - Array of y-coordinates.
+     * @returns {object} - { fit, residuals, z, outliers }, with fit from linearRegression() and one entry per point in the others.
+     */
+    function residualAnalysis(x, y) {
+        const fit = linearRegression(x, y);
+        const z = standardizedResiduals(x, y, fit);
+        return { fit, residuals: x.map((xi, i) => y[i] - (fit.slope * xi + fit.intercept)), z, outliers: chauvenetOutliers(z) };
+    }
+
+    /**
+     * Calculates the mean, sample standard deviation and standard error of the mean.
+     * @param {number[]} values - The repeated measurements.
+     * @returns {object} - An object containing mean, sd and se (sd and se are zero for a single value).
+     */
+    function meanAndSpread(values) {
+        const n = values.length;
+        const mean = values.reduce((acc, v) => acc + v, 0) / n;
+        const sd = n > 1 ? Math.sqrt(values.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+        return { mean, sd, se: sd / Math.sqrt(n) };
+    }
+
+    /**
+     * Formats a value with its uncertainty, rounding the uncertainty to two significant figures
+     * and the value to the same decimal place, e.g. "9.81 ± 0.12".
+     * @param {number} value - The measured value.
+     * @param {number} error - Its absolute uncertainty.
+     * @returns {string} - The formatted "value ± error" text.
+     */
+    function formatWithUncertainty(value, error) {
+        if (!(error > 0)) return `${value.toPrecision(4)} ± 0`;
+        const decimals = Math.max(0, 1 - Math.floor(Math.log10(error)));
+        if (decimals <= 8) return `${value.toFixed(decimals)} ± ${error.toFixed(decimals)}`;
+        // Very small quantities read better in scientific notation with a shared exponent
+        const exponent = Math.floor(Math.log10(Math.abs(value) || error));
+        const scale = Math.pow(10, exponent);
+        const scaledDecimals = Math.max(0, 1 - Math.floor(Math.log10(error / scale)));
+        return `(${(value / scale).toFixed(scaledDecimals)} ± ${(error / scale).toFixed(scaledDecimals)})e${exponent}`;
+    }
+
+    // --- RANDOM NUMBERS ---
+
+    /**
+     * Draws a normally distributed number with mean 0 and standard deviation 1 (Box-Muller transform).
+     * @param {function} random - Source of uniform random numbers in [0, 1).
+     * @returns {number} - The random number.
+     */
+    function gaussianRandom(random) {
+        return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+
+    /**
+     * Hashes a string to a 32-bit unsigned integer (FNV-1a).
+     * @param {string} text - The text to hash.
+     * @param {number} [seed=0] - Mixed into the starting value to get independent hashes of the same text.
+     * @returns {number} - The hash.
+     */
+    function hashString(text, seed = 0) {
+        let hash = (0x811c9dc5 ^ seed) >>> 0;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Creates a Mulberry32 pseudo-random generator, which gives the same sequence for the same seed.
+     * @param {number} seed - A 32-bit integer seed.
+     * @returns {function} - A function returning the next number in [0, 1), like Math.random.
+     */
+    function mulberry32(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // --- VALIDATION ---
+
+    /**
+     * Checks a measured value: it must be a positive number, or zero if allowZero is set, or any number if
+     * allowNegative is set.
+     * @param {number} value - The value.
+     * @param {object} [options] - { allowZero, allowNegative }.
+     * @returns {string|null} - A message for the student, or null if the value is valid.
+     */
+    function validateMeasurement(value, options = {}) {
+        if (isNaN(value) || (value < 0 && !options.allowNegative) || (value === 0 && !options.allowNegative && !options.allowZero)) {
+            return 'Please enter valid positive numbers.';
+        }
+        return null;
+    }
+
+    /**
+     * Checks that a set of readings shares the same value of some quantities.
+     * @param {object[]} readings - The readings.
+     * @param {string[]} keys - The reading fields that must not vary.
+     * @returns {boolean} - True if every reading matches the first.
+     */
+    function sameSetup(readings, keys) {
+        return readings.every(r => keys.every(k => Math.abs(r[k] - readings[0][k]) <= 1e-9 * Math.max(1, Math.abs(readings[0][k]))));
+    }
+
+    /**
+     * Finds the earlier reading that a new raw reading repeats and averages the two. Excluded readings
+     * (`excluded` set) take no repeats; `trials` counts the measurements a reading averages.
+     * @param {object[]} readings - The readings taken so far.
+     * @param {object} raw - The new raw reading.
+     * @param {object} repeat - { key, average }: the fields that must match and the fields to average.
+     * @returns {object|null} - { index, raw } with the earlier reading's index and the averaged raw reading,
+     *                          or null if the new reading repeats none.
+     */
+    function mergeRepeatedReading(readings, raw, repeat) {
+        const index = readings.findIndex(r => !r.excluded && repeat.key.every(k => r[k] === raw[k]));
+        if (index < 0) return null;
+        const earlier = readings[index];
+        const trials = earlier.trials > 1 ? earlier.trials : 1;
+        const merged = Object.assign({}, raw, { trials: trials + 1 });
+        repeat.average.forEach(k => merged[k] = (earlier[k] * trials + raw[k]) / (trials + 1));
+        return { index, raw: merged };
+    }
+
+    // --- RECORDED MOTION ---
+
+    /**
+     * Reads a CSV time series as exported by phone sensor and video-tracking apps. The separator may be a
+     * comma, semicolon or tab; with a semicolon or tab, decimal commas are accepted too. Rows with a cell that
+     * is not a number are skipped, apart from an optional header row.
+     * @param {string} text - The file content.
+     * @returns {object} - { headers, columns } with a header per column and the numbers of each column, or
+     *                     { error } if there are not two columns and ten rows of numbers.
+     */
+    function parseMotionCSV(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+        if (lines.length === 0) return { error: 'The file is empty.' };
+        const separator = ['\t', ';', ','].find(sep => lines[0].includes(sep)) || ',';
+        const split = line => line.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const toNumber = cell => Number(separator === ',' ? cell : cell.replace(',', '.'));
+        const isNumber = cell => cell !== '' && isFinite(toNumber(cell));
+        const first = split(lines[0]);
+        const hasHeader = !first.every(isNumber);
+        const headers = first.map((cell, i) => (hasHeader && cell ? cell : `Column ${i + 1}`));
+        const columns = headers.map(() => []);
+        lines.slice(hasHeader ? 1 : 0).forEach(line => {
+            const cells = split(line);
+            if (cells.length < headers.length || !cells.slice(0, headers.length).every(isNumber)) return;
+            headers.forEach((h, i) => columns[i].push(toNumber(cells[i])));
+        });
+        if (headers.length < 2 || columns[0].length < 10) return { error: 'The file needs a time column and a signal column with at least ten rows of numbers.' };
+        return { headers, columns };
+    }
+
+    /**
+     * Checks that a recording is long enough and that its times increase from sample to sample.
+     * @param {number[]} t - Sample times in seconds.
+     * @returns {string|null} - A message for the student, or null if the times are usable.
+     */
+    function checkSampleTimes(t) {
+        if (t.length < 10) return 'The recording needs at least ten samples.';
+        for (let i = 1; i < t.length; i++) {
+            if (!(t[i] > t[i - 1])) return 'The time column must increase from row to row.';
+        }
+        return null;
+    }
+
+    /**
+     * Estimates the noise of a signal from the median absolute second difference of its samples, which a
+     * smooth, well-sampled signal hardly changes.
+     * @param {number[]} y - The signal.
+     * @returns {number} - The standard deviation of the noise.
+     */
+    function noiseLevel(y) {
+        const secondDifferences = [];
+        for (let i = 1; i < y.length - 1; i++) secondDifferences.push(Math.abs(y[i + 1] - 2 * y[i] + y[i - 1]));
+        secondDifferences.sort((a, b) => a - b);
+        return 1.4826 * secondDifferences[Math.floor(secondDifferences.length / 2)] / Math.sqrt(6);
+    }
+
+    /**
+     * Finds the upward zero crossings of a signal about its mean with a Schmitt trigger: a crossing counts when
+     * the signal rises from below -h to above +h, where h is a twentieth of its largest excursion or three times
+     * its noise if that is more, and is timed halfway between the last rise through -h and the rise through +h.
+     * For a sinusoid that is exactly the zero crossing, and noise near zero gives no extra crossings. Where
+     * noise still adds or hides a crossing the spacing breaks, so only the longest run of crossings spaced
+     * within half a period of the median period is kept.
+     * @param {number[]} t - Sample times in seconds.
+     * @param {number[]} y - The centred signal.
+     * @param {number} noise - The noise σ from noiseLevel().
+     * @returns {number[]} - The crossing times, interpolated between samples.
+     */
+    function upwardCrossings(t, y, noise) {
+        const h = Math.max(0.05 * y.reduce((max, v) => Math.max(max, Math.abs(v)), 0), 3 * noise);
+        const riseThrough = (i, level) => t[i - 1] + (level - y[i - 1]) * (t[i] - t[i - 1]) / (y[i] - y[i - 1]);
+        const crossings = [];
+        let armed = false, leftLow = 0;
+        for (let i = 1; i < y.length; i++) {
+            if (y[i] < -h) armed = true;
+            else if (armed && y[i - 1] < -h) leftLow = riseThrough(i, -h);
+            if (armed && y[i] > h && y[i - 1] <= h) {
+                crossings.push((leftLow + riseThrough(i, h)) / 2);
+                armed = false;
+            }
+        }
+        if (crossings.length < 3) return crossings;
+        const intervals = crossings.slice(1).map((c, k) => c - crossings[k]);
+        const median = intervals.slice().sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+        let best = { from: 0, to: 0 }, from = 0;
+        intervals.forEach((interval, k) => {
+            if (Math.abs(interval - median) > median / 2) from = k + 1;
+            else if (k + 1 - from > best.to - best.from) best = { from, to: k + 1 };
+        });
+        return crossings.slice(best.from, best.to + 1);
+    }
+
+    /**
+     * Finds the frequency of the highest peak of the spectrum of an unevenly sampled signal between half and
+     * twice a first guess. The spectrum is the Lomb-Scargle periodogram: the variance explained by a least-squares
+     * sinusoid a cos(2πft) + b sin(2πft) at each frequency, which unlike a plain Fourier sum is not pulled off
+     * the peak when the recording is not a whole number of periods. A grid a quarter of the resolution 1/span
+     * apart is searched and the best grid point is refined by golden-section search; long recordings are
+     * thinned for the grid search, keeping at least 16 samples per period of the highest frequency searched.
+     * The uncertainty is the Cramér-Rao bound for a sinusoid in white noise, δf = √(6/N) σ / (π A span), with
+     * σ the scatter of the signal about the fitted sinusoid of amplitude A.
+     * @param {number[]} t - Sample times in seconds.
+     * @param {number[]} y - The centred signal.
+     * @param {number} guess - The expected frequency in Hz.
+     * @returns {object} - { frequency, dFrequency } in Hz.
+     */
+    function spectralPeak(t, y, guess) {
+        const n = t.length;
+        const span = t[n - 1] - t[0];
+        const sinusoidFit = (f, stride = 1) => {
+            let yc = 0, ys = 0, cc = 0, ss = 0, cs = 0;
+            for (let i = 0; i < n; i += stride) {
+                const phase = 2 * Math.PI * f * (t[i] - t[0]);
+                const c = Math.cos(phase), s = Math.sin(phase);
+                yc += y[i] * c; ys += y[i] * s; cc += c * c; ss += s * s; cs += c * s;
+            }
+            const det = cc * ss - cs * cs;
+            const a = (yc * ss - ys * cs) / det, b = (ys * cc - yc * cs) / det;
+            return { a, b, power: a * yc + b * ys };
+        };
+        const step = 1 / (4 * span);
+        const stride = Math.max(1, Math.min(Math.floor(n / 4000), Math.floor(n / (32 * guess * span))));
+        let best = guess, bestPower = -1;
+        for (let f = Math.max(guess / 2, step); f <= 2 * guess; f += step) {
+            const power = sinusoidFit(f, stride).power;
+            if (power > bestPower) { best = f; bestPower = power; }
+        }
+        let lo = best - step, hi = best + step;
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        for (let i = 0; i < 40; i++) {
+            const a = hi - ratio * (hi - lo), b = lo + ratio * (hi - lo);
+            if (sinusoidFit(a).power > sinusoidFit(b).power) hi = b; else lo = a;
+        }
+        const frequency = (lo + hi) / 2;
+        const { a, b } = sinusoidFit(frequency);
+        let sumSq = 0;
+        for (let i = 0; i < n; i++) {
+            const phase = 2 * Math.PI * frequency * (t[i] - t[0]);
+            const residual = y[i] - a * Math.cos(phase) - b * Math.sin(phase);
+            sumSq += residual * residual;
+        }
+        const sigma = Math.sqrt(sumSq / (n - 3));
+        return { frequency, dFrequency: Math.sqrt(6 / n) * sigma / (Math.PI * Math.hypot(a, b) * span) };
+    }
+
+    /**
+     * Finds the period of a recorded oscillation (angle, position or acceleration against time) and the decay of
+     * its amplitude. With method 'crossings' the period is the slope of a least-squares line through the upward
+     * zero crossings against their number; with 'spectrum' it is 1/f at the highest spectral peak. The amplitude
+     * of each cycle is √2 times its r.m.s. value with the noise variance taken off, and ln(amplitude) against
+     * time is fitted with a line of slope -γ, so the amplitude falls as e^(-γt).
+     * @param {number[]} t - Sample times in seconds.
+     * @param {number[]} y - The signal, in any unit.
+     * @param {string} method - 'crossings' or 'spectrum'.
+     * @returns {object} - { period, dPeriod, cycles, duration, crossings, amplitude, decayRate, dDecayRate },
+     *                     where cycles whole oscillations take duration seconds from the first crossing and
+     *                     amplitude is that of the first cycle; or { error }.
+     */
+    function oscillationAnalysis(t, y, method) {
+        const timeError = checkSampleTimes(t);
+        if (timeError) return { error: timeError };
+        const mean = y.reduce((acc, v) => acc + v, 0) / y.length;
+        const centred = y.map(v => v - mean);
+        if (centred.every(v => Math.abs(v) <= 1e-9 * Math.max(1, Math.abs(mean)))) return { error: 'The signal does not change.' };
+        const noise = noiseLevel(centred);
+        const crossings = upwardCrossings(t, centred, noise);
+        if (crossings.length < 3) return { error: 'Fewer than two whole oscillations were found. Check the signal column.' };
+        const cycles = crossings.length - 1;
+
+        let period, dPeriod;
+        if (method === 'spectrum') {
+            const { frequency, dFrequency } = spectralPeak(t, centred, cycles / (crossings[cycles] - crossings[0]));
+            period = 1 / frequency;
+            dPeriod = dFrequency / (frequency * frequency);
+        } else {
+            const fit = linearRegression(crossings.map((c, k) => k), crossings);
+            period = fit.slope;
+            dPeriod = fit.slopeErr;
+        }
+
+        const times = [], logAmplitudes = [];
+        let i = 0;
+        for (let k = 0; k < cycles; k++) {
+            let sumSq = 0, count = 0;
+            for (; i < t.length && t[i] < crossings[k + 1]; i++) {
+                if (t[i] >= crossings[k]) { sumSq += centred[i] * centred[i]; count++; }
+            }
+            const meanSquare = count > 0 ? sumSq / count - noise * noise : 0;
+            if (meanSquare > 0) { times.push((crossings[k] + crossings[k + 1]) / 2); logAmplitudes.push(Math.log(Math.sqrt(2 * meanSquare))); }
+        }
+        const decay = linearRegression(times, logAmplitudes);
+        return {
+            period, dPeriod, cycles,
+            duration: crossings[cycles] - crossings[0],
+            crossings,
+            amplitude: Math.exp(logAmplitudes[0]),
+            decayRate: -decay.slope,
+            dDecayRate: decay.slopeErr,
+        };
+    }
+
+    /**
+     * Finds the flywheel's fall time and the rotations after the string leaves the axle from a log of its angle.
+     * The angular velocity rises linearly while the mass falls and falls linearly under friction afterwards,
+     * so straight lines are fitted to the parts of each between 20% and 80% of the peak. The rising line meets
+     * zero at the release and the falling line at the stop; the lines cross where the string leaves the axle.
+     * @param {number[]} t - Sample times in seconds.
+     * @param {number[]} rotations - The angle turned, in rotations.
+     * @returns {object} - { t, n2, n1, release, detach, stop, omega }: the fall time, the rotations after and
+     *                     during the fall, the three event times in seconds and the top speed in rotations per
+     *                     second; or { error }.
+     */
+    function flywheelRotationAnalysis(t, rotations) {
+        const timeError = checkSampleTimes(t);
+        if (timeError) return { error: timeError };
+        const direction = rotations[rotations.length - 1] < rotations[0] ? -1 : 1;
+        const k = Math.max(1, Math.round(t.length / 100)); // Difference over a window against noise
+        const times = [], omegas = [];
+        for (let i = k; i < t.length - k; i++) {
+            times.push(t[i]);
+            omegas.push(direction * (rotations[i + k] - rotations[i - k]) / (t[i + k] - t[i - k]));
+        }
+        let peak = 0;
+        omegas.forEach((omega, i) => { if (omega > omegas[peak]) peak = i; });
+        if (!(omegas[peak] > 0)) return { error: 'The flywheel does not turn in this recording.' };
+        const part = (from, to) => {
+            const x = [], y = [];
+            for (let i = from; i < to; i++) {
+                if (omegas[i] >= 0.2 * omegas[peak] && omegas[i] <= 0.8 * omegas[peak]) { x.push(times[i]); y.push(omegas[i]); }
+            }
+            return x.length >= 3 ? linearRegression(x, y) : null;
+        };
+        const rise = part(0, peak), fall = part(peak + 1, omegas.length);
+        if (!rise || !fall || rise.slope <= 0 || fall.slope >= 0) return { error: 'Could not find both the fall of the mass and the slowing down of the wheel.' };
+        const release = -rise.intercept / rise.slope;
+        const stop = -fall.intercept / fall.slope;
+        const detach = (fall.intercept - rise.intercept) / (rise.slope - fall.slope);
+        const omega = rise.slope * detach + rise.intercept;
+        return { t: detach - release, n2: omega * (stop - detach) / 2, n1: omega * (detach - release) / 2, release, detach, stop, omega };
+    }
+
+    // --- SIMPLE PENDULUM ---
+
+    const PENDULUM_REST_ANGLE = 0.5 * Math.PI / 180; // Below this amplitude the swing counts as died out
+
+    /**
+     * Angular acceleration of a damped pendulum, θ'' = -(g/L)sinθ - bθ'.
+     * @param {number} theta - Angle from the vertical in radians.
+     * @param {number} omega - Angular velocity in rad/s.
+     * @param {object} params - The pendulum's g (m/s²), L (m) and damping b (1/s).
+     * @returns {number} - The angular acceleration in rad/s².
+     */
+    function pendulumAngularAcceleration(theta, omega, params) {
+        return -(params.g / params.L) * Math.sin(theta) - params.b * omega;
+    }
+
+    /**
+     * Advances the pendulum by one fourth-order Runge-Kutta step.
+     * @param {object} s - The current state { theta, omega }.
+     * @param {number} dt - The time step in seconds.
+     * @param {object} params - The pendulum's g, L and b.
+     * @returns {object} - The new state { theta, omega }.
+     */
+    function pendulumRk4Step(s, dt, params) {
+        const a1 = pendulumAngularAcceleration(s.theta, s.omega, params);
+        const w2 = s.omega + a1 * dt / 2;
+        const a2 = pendulumAngularAcceleration(s.theta + s.omega * dt / 2, w2, params);
+        const w3 = s.omega + a2 * dt / 2;
+        const a3 = pendulumAngularAcceleration(s.theta + w2 * dt / 2, w3, params);
+        const w4 = s.omega + a3 * dt;
+        const a4 = pendulumAngularAcceleration(s.theta + w3 * dt, w4, params);
+        return {
+            theta: s.theta + (s.omega + 2 * w2 + 2 * w3 + w4) * dt / 6,
+            omega: s.omega + (a1 + 2 * a2 + 2 * a3 + a4) * dt / 6,
+        };
+    }
+
+    /**
+     * Releases the pendulum from rest and integrates until n complete oscillations have been timed.
+     * Like a stopwatch started at the mean position, it measures between passes through θ = 0 in the same direction.
+     * The swing is symmetric, so a release to either side gives the same time.
+     * @param {object} params - The pendulum's g, L and b.
+     * @param {number} theta0 - Release amplitude in radians.
+     * @param {number} n - Number of oscillations to time.
+     * @returns {number|null} - The time in seconds, or null if the swing dies out first or never starts.
+     */
+    function pendulumOscillationTime(params, theta0, n) {
+        const amplitude = Math.abs(theta0);
+        // Without these the pendulum never passes through θ = 0 and the loop below would not end
+        if (!(params.g > 0 && params.L > 0 && amplitude > 0 && n >= 1)) return null;
+        if (!(params.b < 2 * Math.sqrt(params.g / params.L))) return null; // Overdamped: it creeps back without swinging
+        const dt = 2 * Math.PI * Math.sqrt(params.L / params.g) / 2000;
+        let s = { theta: amplitude, omega: 0 }, t = 0;
+        const crossings = [];
+        while (crossings.length <= n) {
+            const next = pendulumRk4Step(s, dt, params);
+            if (s.theta > 0 && next.theta <= 0) {
+                // Amplitude of the swing from its speed at the bottom: ½ω² = (g/L)(1 - cos θmax)
+                const cosMax = 1 - s.omega * s.omega * params.L / (2 * params.g);
+                if (Math.acos(Math.max(-1, cosMax)) < PENDULUM_REST_ANGLE) return null;
+                crossings.push(t + dt * s.theta / (s.theta - next.theta)); // Interpolate the crossing time
+            }
+            s = next; t += dt;
+        }
+        return crossings[n] - crossings[0];
+    }
+
+    /**
+     * Finite-amplitude correction factor for the period, 1 + θ₀²/16.
+     * @param {number} theta0Deg - Release amplitude in degrees.
+     * @returns {number} - The ratio T/T₀.
+     */
+    function amplitudeFactor(theta0Deg) {
+        const theta0 = theta0Deg * Math.PI / 180;
+        return 1 + theta0 * theta0 / 16;
+    }
+
+    /**
+     * Completes a pendulum reading { L, theta0, n, t } with its period T and T².
+     * @param {object} raw - The raw reading.
+     * @returns {object} - The reading.
+     */
+    function derivePendulumReading(raw) {
+        const T = raw.t / raw.n;
+        return Object.assign({}, raw, { T: T, T2: T * T });
+    }
+
+    /**
+     * Uncertainty in g from the fit scatter and from the instrument least counts, combined in quadrature.
+     * @param {object[]} readings - The pendulum readings.
+     * @param {object} leastCounts - { length, time }.
+     * @param {number} g - The calculated g.
+     * @param {number} slopeErr - Standard error of the L vs T² slope.
+     * @returns {object} - The fit, instrument and total contributions in m/s².
+     */
+    function pendulumGravityUncertainty(readings, leastCounts, g, slopeErr) {
+        const fit = 4 * Math.PI * Math.PI * slopeErr;
+        const meanL = meanAndSpread(readings.map(r => r.L)).mean;
+        const meanT = meanAndSpread(readings.map(r => r.t)).mean;
+        const relative = Math.sqrt(Math.pow(leastCounts.length / meanL, 2) + Math.pow(2 * leastCounts.time / meanT, 2));
+        const instrument = g * relative;
+        return { fit, instrument, total: Math.sqrt(fit * fit + instrument * instrument) };
+    }
+
+    /**
+     * Finds g from the slope of L against T², and again after dividing out the finite-amplitude factor.
+     * @param {object[]} readings - At least two pendulum readings from derivePendulumReading().
+     * @param {object} leastCounts - { length, time }.
+     * @returns {object} - { fit, g, dg, corrected: { fit, g, dg }, meanL, meanT } with dg from
+     *                     pendulumGravityUncertainty().
+     */
+    function analyzePendulum(readings, leastCounts) {
+        const lengths = readings.map(r => r.L);
+        const fit = linearRegression(readings.map(r => r.T2), lengths);
+        const g = fit.slope * 4 * Math.PI * Math.PI;
+        // Divide out the finite-amplitude factor so the fit uses small-angle periods T₀
+        const correctedFit = linearRegression(readings.map(r => r.T2 / Math.pow(amplitudeFactor(r.theta0), 2)), lengths);
+        const gCorrected = correctedFit.slope * 4 * Math.PI * Math.PI;
+        return {
+            fit, g,
+            dg: pendulumGravityUncertainty(readings, leastCounts, g, fit.slopeErr),
+            corrected: { fit: correctedFit, g: gCorrected, dg: pendulumGravityUncertainty(readings, leastCounts, gCorrected, correctedFit.slopeErr) },
+            meanL: meanAndSpread(lengths).mean,
+            meanT: meanAndSpread(readings.map(r => r.t)).mean,
+        };
+    }
+
+    // --- FLYWHEEL ---
+
+    /**
+     * Simulates the falling mass of a flywheel experiment and the wheel running down afterwards.
+     * @param {object} params - Hanging mass m, axle radius r, windings n1, moment of inertia I, friction torque Tf, g.
+     * @returns {object} - { h, a, t, omega, n2 }: fall height, acceleration, fall time, final angular velocity and
+     *                     rotations until the wheel stops, or { error } if the mass cannot overcome friction.
+     */
+    function flywheelFall(params) {
+        const { m, r, n1, I, Tf, g } = params;
+        const h = 2 * Math.PI * r * n1;
+        const a = (m * g - Tf / r) / (m + I / (r * r));
+        if (a <= 0) return { error: 'Mass is too light.' };
+        const t = Math.sqrt(2 * h / a);
+        const omega = (a * t) / r;
+        const theta_after = (I * omega * omega) / (2 * Tf);
+        return { h, a, t, omega, n2: theta_after / (2 * Math.PI) };
+    }
+
+    /**
+     * Completes a flywheel reading { m, r, n1, t, n2 } with the fall height h, I from the energy formula
+     * I = m r² (g t² - 2h) n₂ / [2h (n₁ + n₂)], the acceleration a = 2h/t², α = a/r and the torque m(g - a)r.
+     * @param {object} raw - The raw reading.
+     * @param {number} g - Acceleration due to gravity.
+     * @returns {object} - The reading, or { error } if the values give no positive I.
+     */
+    function deriveFlywheelReading(raw, g) {
+        const h = 2 * Math.PI * raw.r * raw.n1;
+        const term1 = 2 * h * (raw.n1 + raw.n2);
+        const term2 = raw.m * raw.r * raw.r * (g * raw.t * raw.t - 2 * h) * raw.n2;
+        if (term1 === 0) return { error: 'Invalid parameters.' };
+        const I_calc = term2 / term1;
+        if (I_calc <= 0) return { error: 'Non-physical result. Check inputs.' };
+        const a = 2 * h / (raw.t * raw.t);
+        return Object.assign({}, raw, { h: h, I: I_calc, a: a, alpha: a / raw.r, torque: raw.m * (g - a) * raw.r });
+    }
+
+    /**
+     * Instrument error of one flywheel reading from the radius and time least counts.
+     * With h = 2πrn₁ the formula reads I = m*r*(g*t² - 4π*r*n₁)*n₂ / [4π*n₁*(n₁ + n₂)].
+     * @param {object} r - The reading.
+     * @param {object} leastCounts - { radius, time } in metres and seconds.
+     * @param {number} g - Acceleration due to gravity.
+     * @returns {number} - δI in kg·m².
+     */
+    function flywheelInstrumentError(r, leastCounts, g) {
+        const k = r.m * r.n2 / (4 * Math.PI * r.n1 * (r.n1 + r.n2));
+        const dI_dr = k * (g * r.t * r.t - 8 * Math.PI * r.r * r.n1);
+        const dI_dt = k * r.r * 2 * g * r.t;
+        return Math.sqrt(Math.pow(dI_dr * leastCounts.radius, 2) + Math.pow(dI_dt * leastCounts.time, 2));
+    }
+
+    /**
+     * Fits the applied torque m(g - a)r against the angular acceleration α = a/r, giving I as the slope and the
+     * friction torque as the intercept, and flags readings that fail Chauvenet's criterion.
+     * @param {object[]} readings - The flywheel readings.
+     * @returns {object|null} - The fit and the flagged readings as { sno, z }, or null without two different masses.
+     */
+    function flywheelGraphMethod(readings) {
+        if (new Set(readings.map(r => r.m)).size < 2) return null;
+        const { fit, z, outliers } = residualAnalysis(readings.map(r => r.alpha), readings.map(r => r.torque));
+        const flagged = readings.map((r, i) => ({ sno: r.sno, z: z[i] })).filter((f, i) => outliers[i]);
+        return { fit, flagged };
+    }
+
+    /**
+     * Summarises the flywheel readings: the mean I with its spread and instrument error, and the graph method.
+     * @param {object[]} readings - At least one reading from deriveFlywheelReading().
+     * @param {object} leastCounts - { radius, time } in metres and seconds.
+     * @param {number} g - Acceleration due to gravity.
+     * @returns {object} - { mean, sd, se, instrument, total, graph } where total combines se and the mean
+     *                     instrument error, and graph comes from flywheelGraphMethod().
+     */
+    function analyzeFlywheel(readings, leastCounts, g) {
+        const { mean, sd, se } = meanAndSpread(readings.map(r => r.I));
+        const instrument = meanAndSpread(readings.map(r => flywheelInstrumentError(r, leastCounts, g))).mean;
+        return { mean, sd, se, instrument, total: Math.sqrt(se * se + instrument * instrument), graph: flywheelGraphMethod(readings) };
+    }
+
+    // --- BAR PENDULUM ---
+
+    /**
+     * Period of a compound pendulum, T = 2π√[(K² + d²)/(g|d|)].
+     * @param {number} d - Distance of the pivot from the centre of mass (m); its sign gives the side.
+     * @param {number} K - Radius of gyration about the centre of mass (m).
+     * @param {number} g - Acceleration due to gravity (m/s²).
+     * @returns {number} - The period in seconds.
+     */
+    function barPendulumPeriod(d, K, g) {
+        return 2 * Math.PI * Math.sqrt((K * K + d * d) / (g * Math.abs(d)));
+    }
+
+    /**
+     * Completes a bar pendulum reading { d, n, t } with its period T.
+     * @param {object} raw - The raw reading.
+     * @returns {object} - The reading, or { error } for a pivot at the centre of mass.
+     */
+    function deriveBarPendulumReading(raw) {
+        if (raw.d === 0) return { error: 'The bar cannot swing about its centre of mass.' };
+        return Object.assign({}, raw, { T: raw.t / raw.n });
+    }
+
+    /**
+     * Finds the minimum of one branch of the T vs d graph from a parabola through the lowest reading and its neighbours.
+     * @param {object[]} points - The branch as { x: |d|, T }, sorted by x.
+     * @returns {object|null} - The vertex { x, T }, or null if the lowest reading is at either end of the branch.
+     */
+    function branchMinimum(points) {
+        let i = 0;
+        points.forEach((p, j) => { if (p.T < points[i].T) i = j; });
+        if (i === 0 || i === points.length - 1) return null;
+        const [a, b, c] = [points[i - 1], points[i], points[i + 1]];
+        const denom = (a.x - b.x) * (a.x - c.x) * (b.x - c.x);
+        const A = (c.x * (b.T - a.T) + b.x * (a.T - c.T) + a.x * (c.T - b.T)) / denom;
+        const B = (c.x * c.x * (a.T - b.T) + b.x * b.x * (c.T - a.T) + a.x * a.x * (b.T - c.T)) / denom;
+        const C = (b.x * c.x * (b.x - c.x) * a.T + c.x * a.x * (c.x - a.x) * b.T + a.x * b.x * (a.x - b.x) * c.T) / denom;
+        if (A <= 0) return b; // Not curving upwards; fall back to the lowest reading
+        const x = -B / (2 * A);
+        return { x: x, T: C - B * B / (4 * A) };
+    }
+
+    /**
+     * Finds where a branch of the T vs d graph crosses a horizontal line, interpolating between readings.
+     * @param {object[]} points - The branch as { x: |d|, T }, sorted by x.
+     * @param {number} T_line - The period of the horizontal line.
+     * @returns {number[]} - The |d| values of the crossings, in increasing order.
+     */
+    function branchCrossings(points, T_line) {
+        const crossings = [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1], b = points[i];
+            if ((a.T - T_line) * (b.T - T_line) <= 0 && a.T !== b.T) crossings.push(a.x + (T_line - a.T) * (b.x - a.x) / (b.T - a.T));
+        }
+        return crossings;
+    }
+
+    /**
+     * Applies the equal-period (graphical) method to both branches of the T vs d graph.
+     * @param {object[]} readings - The bar pendulum readings.
+     * @returns {object|null} - { T_line, K, l, g, minima, left, right } with each side's { inner, outer } crossing,
+     *                          or null when a branch has too few readings or its minimum is not bracketed.
+     */
+    function barPendulumGraphMethod(readings) {
+        const branch = sign => readings.filter(r => Math.sign(r.d) === sign).map(r => ({ x: Math.abs(r.d), T: r.T })).sort((a, b) => a.x - b.x);
+        const leftPoints = branch(-1), rightPoints = branch(1);
+        if (leftPoints.length < 3 || rightPoints.length < 3) return null;
+        const minima = [branchMinimum(leftPoints), branchMinimum(rightPoints)];
+        if (!minima[0] || !minima[1]) return null;
+        // The line has to cut every branch twice: above both minima and below the lower end of each branch
+        const T_low = Math.max(minima[0].T, minima[1].T);
+        const T_high = Math.min(leftPoints[0].T, leftPoints[leftPoints.length - 1].T, rightPoints[0].T, rightPoints[rightPoints.length - 1].T);
+        if (T_high <= T_low) return null;
+        const T_line = T_low + 0.5 * (T_high - T_low);
+        const cuts = [branchCrossings(leftPoints, T_line), branchCrossings(rightPoints, T_line)];
+        if (cuts[0].length < 2 || cuts[1].length < 2) return null;
+        const left = { inner: cuts[0][0], outer: cuts[0][cuts[0].length - 1] };
+        const right = { inner: cuts[1][0], outer: cuts[1][cuts[1].length - 1] };
+        // A and B are on the left (outer, inner), C and D on the right (inner, outer)
+        const AC = left.outer + right.inner, BD = left.inner + right.outer;
+        const AD = left.outer + right.outer, BC = left.inner + right.inner;
+        const l = (AC + BD) / 2;
+        return { T_line, l, K: Math.sqrt(AD * BC) / 2, g: 4 * Math.PI * Math.PI * l / (T_line * T_line), minima, left, right, AC, BD, AD, BC };
+    }
+
+    /**
+     * Finds g and K by the graph method and by the straight line T²d = (4π²/g) d² + 4π²K²/g.
+     * @param {object[]} readings - Bar pendulum readings from deriveBarPendulumReading().
+     * @returns {object} - { graph, fit, gFit, dgFit, KFit, dKFit, g, dg }, where graph comes from
+     *                     barPendulumGraphMethod(), KFit is NaN for a negative intercept, and g is the graph
+     *                     method's value when it applies and the fitted one otherwise. The graph method reads
+     *                     l and T off the curves and has no uncertainty of its own, so dg is null for it.
+     */
+    function analyzeBarPendulum(readings) {
+        const fit = linearRegression(readings.map(r => r.d * r.d), readings.map(r => r.T * r.T * Math.abs(r.d)));
+        const gFit = 4 * Math.PI * Math.PI / fit.slope;
+        const KFit = fit.intercept > 0 ? Math.sqrt(fit.intercept / fit.slope) : NaN;
+        const graph = barPendulumGraphMethod(readings);
+        const g = graph ? graph.g : gFit;
+        return {
+            graph, fit, gFit,
+            dgFit: gFit * fit.slopeErr / fit.slope,
+            KFit,
+            dKFit: KFit / 2 * Math.sqrt(Math.pow(fit.interceptErr / fit.intercept, 2) + Math.pow(fit.slopeErr / fit.slope, 2)),
+            g,
+            dg: graph ? null : gFit * fit.slopeErr / fit.slope,
+        };
+    }
+
+    // --- TORSION PENDULUM ---
+
+    /**
+     * Period of a torsion pendulum, T = 2π√(I/C) with C = πηr⁴/(2l).
+     * @param {number} I - Moment of inertia of the suspended body (kg·m²).
+     * @param {number} eta - Rigidity modulus of the wire (Pa).
+     * @param {number} r - Wire radius (m).
+     * @param {number} l - Wire length (m).
+     * @returns {number} - The period in seconds.
+     */
+    function torsionPeriod(I, eta, r, l) {
+        const C = Math.PI * eta * Math.pow(r, 4) / (2 * l);
+        return 2 * Math.PI * Math.sqrt(I / C);
+    }
+
+    /**
+     * Completes a torsion pendulum reading { l, mRing, r, M, R, n, t } with T, T² and the disc's I = MR²/2.
+     * @param {object} raw - The raw reading.
+     * @returns {object} - The reading.
+     */
+    function deriveTorsionReading(raw) {
+        const T = raw.t / raw.n;
+        return Object.assign({}, raw, { T: T, T2: T * T, I_disc: raw.M * raw.R * raw.R / 2 });
+    }
+
+    /**
+     * Finds the rigidity modulus η from T² against the wire length (method 'length', using I = MR²/2) or against
+     * the added ring mass (method 'rings', which also gives the disc's I₀).
+     * @param {object[]} readings - At least two readings from deriveTorsionReading().
+     * @param {string} method - 'length' or 'rings'.
+     * @param {object} leastCounts - { wireRadius, length } in metres.
+     * @returns {object} - { fit, eta, dEta, I0, dI0, wireError, consistent }, with wireError = 4δr/r and
+     *                     consistent false when the readings mix setups that the method keeps fixed.
+     */
+    function analyzeTorsion(readings, method, leastCounts) {
+        const byRings = method === 'rings';
+        const { r, R, M, l } = readings[0];
+        const fit = linearRegression(readings.map(byRings ? (rd => rd.mRing) : (rd => rd.l)), readings.map(rd => rd.T2));
+        const consistent = sameSetup(readings, byRings ? ['l', 'r', 'M', 'R'] : ['mRing', 'r', 'M', 'R']);
+        const wireError = 4 * leastCounts.wireRadius / r; // Relative error 4δr/r
+        if (byRings) {
+            const eta = 8 * Math.PI * l * R * R / (Math.pow(r, 4) * fit.slope);
+            const I0 = R * R * fit.intercept / fit.slope;
+            return {
+                fit, eta, I0, wireError, consistent,
+                dEta: eta * Math.sqrt(Math.pow(fit.slopeErr / fit.slope, 2) + wireError * wireError + Math.pow(leastCounts.length / l, 2)),
+                dI0: Math.abs(I0) * Math.sqrt(Math.pow(fit.interceptErr / fit.intercept, 2) + Math.pow(fit.slopeErr / fit.slope, 2)),
+            };
+        }
+        const I0 = M * R * R / 2;
+        const eta = 8 * Math.PI * I0 / (Math.pow(r, 4) * fit.slope);
+        return { fit, eta, I0, wireError, consistent, dEta: eta * Math.sqrt(Math.pow(fit.slopeErr / fit.slope, 2) + wireError * wireError), dI0: 0 };
+    }
+
+    // --- FREE FALL ---
+
+    /**
+     * Timestamp a photogate reports for a ball dropped at t = 0, including the systematic delays.
+     * @param {number} h - Height (m) of the gate below the release point.
+     * @param {number} g - Acceleration due to gravity (m/s²).
+     * @param {number} offset - Release delay plus gate latency (s).
+     * @returns {number} - The timestamp in seconds.
+     */
+    function freeFallGateTime(h, g, offset) {
+        return offset + Math.sqrt(2 * h / g);
+    }
+
+    /**
+     * Completes a free fall reading { h1, h2, t1, t2 } with Δh, Δt, 2Δh/Δt, 2h₂/t₂ and t₂².
+     * @param {object} raw - The raw reading.
+     * @returns {object} - The reading, or { error } if the gates are out of order.
+     */
+    function deriveFreeFallReading(raw) {
+        if (raw.h2 <= raw.h1) return { error: 'Gate 2 must be below gate 1.' };
+        if (raw.t2 <= raw.t1) return { error: 'Gate 2 must trigger after gate 1.' };
+        const dh = raw.h2 - raw.h1, dt = raw.t2 - raw.t1;
+        return Object.assign({}, raw, { dh: dh, dt: dt, vGates: 2 * dh / dt, vRelease: 2 * raw.h2 / raw.t2, t2sq: raw.t2 * raw.t2 });
+    }
+
+    // The graph of each free fall method as reading fields { x, y }
+    const FREE_FALL_GRAPHS = {
+        release: { x: 't2', y: 'vRelease' }, // 2h/t vs t
+        squared: { x: 't2sq', y: 'h2' }, // h vs t²
+        gates: { x: 'dt', y: 'vGates' }, // 2Δh/Δt vs Δt
+    };
+
+    /**
+     * Finds g from a free fall graph. Method 'release' fits 2h/t against t (slope g, intercept -2gδ for a timing
+     * offset δ), 'squared' fits h against t² (slope g/2) and 'gates' fits 2Δh/Δt against Δt (slope g,
+     * intercept 2v₁ for the speed v₁ at gate 1).
+     * @param {object[]} readings - At least two readings from deriveFreeFallReading().
+     * @param {string} method - 'release', 'squared' or 'gates'.
+     * @returns {object} - { fit, g, dg } plus { offset, dOffset } for 'release' and { v1, dv1, sameGate1 } for 'gates'.
+     */
+    function analyzeFreeFall(readings, method) {
+        const graph = FREE_FALL_GRAPHS[method];
+        const fit = linearRegression(readings.map(r => r[graph.x]), readings.map(r => r[graph.y]));
+        if (method === 'squared') return { fit, g: 2 * fit.slope, dg: 2 * fit.slopeErr };
+        const analysis = { fit, g: fit.slope, dg: fit.slopeErr };
+        if (method === 'release') {
+            analysis.offset = -fit.intercept / (2 * fit.slope);
+            analysis.dOffset = Math.abs(analysis.offset) * Math.hypot(fit.interceptErr / fit.intercept, fit.slopeErr / fit.slope);
+        } else {
+            analysis.v1 = fit.intercept / 2;
+            analysis.dv1 = fit.interceptErr / 2;
+            analysis.sameGate1 = readings.every(r => r.h1 === readings[0].h1);
+        }
+        return analysis;
+    }
+
+    return {
+        STANDARD_GRAVITY,
+        // Gravity
+        SOLAR_SYSTEM_BODIES, localGravity,
+        // Statistics
+        linearRegression, standardizedResiduals, normalTailProbability, chauvenetOutliers, residualAnalysis, meanAndSpread, formatWithUncertainty,
+        // Random numbers
+        gaussianRandom, hashString, mulberry32,
+        // Validation
+        validateMeasurement, sameSetup, mergeRepeatedReading,
+        // Recorded motion
+        parseMotionCSV, oscillationAnalysis, flywheelRotationAnalysis,
+        // Simple pendulum
+        PENDULUM_REST_ANGLE, pendulumAngularAcceleration, pendulumRk4Step, pendulumOscillationTime, amplitudeFactor,
+        derivePendulumReading, pendulumGravityUncertainty, analyzePendulum,
+        // Flywheel
+        flywheelFall, deriveFlywheelReading, flywheelInstrumentError, flywheelGraphMethod, analyzeFlywheel,
+        // Bar pendulum
+        barPendulumPeriod, deriveBarPendulumReading, branchMinimum, branchCrossings, barPendulumGraphMethod, analyzeBarPendulum,
+        // Torsion pendulum
+        torsionPeriod, deriveTorsionReading, analyzeTorsion,
+        // Free fall
+        freeFallGateTime, deriveFreeFallReading, analyzeFreeFall,
+    };
+}));
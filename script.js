@@ -1,7 +1,20 @@
 // --- GLOBAL STATE & DOM ELEMENTS ---
 const mainMenu = document.getElementById('main-menu');
+const experimentCards = document.getElementById('experiment-cards');
 const experimentsContainer = document.getElementById('experiments-container');
-const G_ACCELERATION = 9.81; // Standard gravity constant for Earth
+
+// Physics models and analysis from the DOM-free core in physics.js
+const {
+    SOLAR_SYSTEM_BODIES, localGravity,
+    residualAnalysis, formatWithUncertainty,
+    gaussianRandom, hashString, mulberry32, validateMeasurement, mergeRepeatedReading,
+    parseMotionCSV, oscillationAnalysis, flywheelRotationAnalysis,
+    PENDULUM_REST_ANGLE, pendulumRk4Step, pendulumOscillationTime, amplitudeFactor, derivePendulumReading, analyzePendulum,
+    flywheelFall, deriveFlywheelReading, analyzeFlywheel,
+    barPendulumPeriod, deriveBarPendulumReading, barPendulumGraphMethod, analyzeBarPendulum,
+    torsionPeriod, deriveTorsionReading, analyzeTorsion,
+    freeFallGateTime, deriveFreeFallReading, analyzeFreeFall,
+} = PhysicsCore;
 
 // Modal elements
 const modalOverlay = document.getElementById('modal-overlay');
@@ -20,15 +33,16 @@ function showExperiment(experimentId) {
     mainMenu.classList.add('hidden');
     // Hide all other experiments before showing the selected one
     Array.from(experimentsContainer.children).forEach(el => el.classList.add('hidden'));
-    
+
     const expEl = document.getElementById(experimentId);
     if (expEl) {
         expEl.classList.remove('hidden');
     }
 
     // Initialize the specific experiment's logic
-    if (experimentId === 'simple-pendulum') initPendulumExperiment();
-    if (experimentId === 'flywheel') initFlywheelExperiment();
+    if (EXPERIMENTS[experimentId]) initExperiment(experimentId);
+    shownRoute = experimentId;
+    pushRoute(`#/${experimentId}`);
 }
 
 /**
@@ -37,6 +51,8 @@ function showExperiment(experimentId) {
 function showMainMenu() {
     mainMenu.classList.remove('hidden');
     Array.from(experimentsContainer.children).forEach(el => el.classList.add('hidden'));
+    shownRoute = '';
+    pushRoute('#/');
 }
 
 /**
@@ -92,192 +108,1770 @@ function showNotification(message) {
 }
 
 /**
- * Calculates the slope, intercept, and R-squared value for a set of data points.
- * @param {number[]} x - Array of x-coordinates.
- * @param {number[]} y - Array of y-coordinates.
- * @returns {object} - An object containing the slope, intercept, and r2.
+ * Passes on a reading from the physics core, notifying the user instead if the core reported an error.
+ * @param {object} result - A reading or { error } from PhysicsCore.
+ * @returns {object|null} - The reading, or null after notifying the user.
+ */
+function coreResult(result) {
+    if (result.error) { showNotification(result.error); return null; }
+    return result;
+}
+
+/**
+ * Draws the hidden g of an unknown planet; used as the `unknowns` hook of the gravity experiments.
+ * @param {function} random - Source of uniform random numbers in [0, 1).
+ * @returns {object} - The unknown { g } in m/s², between 5 and 20.
+ */
+function unknownPlanet(random) {
+    return { g: 5 + random() * 15 };
+}
+
+/**
+ * Gives g for the experiment's environment choice.
+ * @param {object} state - The experiment state; its definition must declare `environment`.
+ * @returns {number} - g in m/s², drawn by experimentUnknowns() for an unknown planet.
+ */
+function environmentGravity(state) {
+    const envVal = inputValue(state, 'environment');
+    if (envVal === 'unknown') return experimentUnknowns(state.def).g;
+    if (envVal === 'custom') return inputValue(state, 'customG');
+    if (envVal === 'location') return localGravity(inputValue(state, 'latitude'), inputValue(state, 'altitude'));
+    return SOLAR_SYSTEM_BODIES.find(body => body.id === envVal).g;
+}
+
+/**
+ * Gives the g the simulation used when the student may compare their result with it.
+ * @param {object} state - The experiment state, with the simulated g in state.gravity.
+ * @returns {number|null} - g in m/s², or null in manual mode and on an unknown planet.
+ */
+function knownGravity(state) {
+    return state.mode !== 'manual' && inputValue(state, 'environment') !== 'unknown' ? state.gravity : null;
+}
+
+/**
+ * Simulates timing an interval with the experiment's measurement error model: a random error proportional to
+ * the reading, a systematic offset, human reaction times and the resolution of the timer (the time least count).
+ * @param {object} state - The experiment state; its definition must declare `errorModel`.
+ * @param {number} trueTime - The actual duration in seconds.
+ * @returns {number} - The time the timer shows.
  */
-function linearRegression(x, y) {
-    const n = x.length;
-    if (n === 0) return { slope: 0, intercept: 0, r2: 0 };
-    let sum_x = 0, sum_y = 0, sum_xy = 0, sum_xx = 0, sum_yy = 0;
-    for (let i = 0; i < n; i++) {
-        sum_x += x[i]; sum_y += y[i]; sum_xy += (x[i] * y[i]);
-        sum_xx += (x[i] * x[i]); sum_yy += (y[i] * y[i]);
+function measureTime(state, trueTime) {
+    const model = state.def.errorModel;
+    let t = trueTime * (1 + inputValue(state, 'errRandom') / 100 * gaussianRandom(state.random));
+    if (model.offset) t += inputValue(state, 'errOffset');
+    if (model.reaction) {
+        const reaction = () => Math.max(0, inputValue(state, 'reactionMean') + inputValue(state, 'reactionSd') * gaussianRandom(state.random));
+        t += reaction(); // Late stop
+        if (model.reaction === 'both') t -= reaction(); // Late start
     }
-    const denominator = (n * sum_xx - sum_x * sum_x);
-    if (denominator === 0) return { slope: 0, intercept: 0, r2: 0 };
-    const slope = (n * sum_xy - sum_x * sum_y) / denominator;
-    const intercept = (sum_y - slope * sum_x) / n;
-    const r2_denominator = Math.sqrt((n * sum_xx - sum_x * sum_x) * (n * sum_yy - sum_y * sum_y));
-    const r2 = r2_denominator === 0 ? 1 : Math.pow((n * sum_xy - sum_x * sum_y) / r2_denominator, 2);
-    return { slope, intercept, r2 };
+    const resolution = leastCount(state, 'time');
+    return resolution > 0 ? Number((Math.round(t / resolution) * resolution).toPrecision(12)) : t;
 }
 
-// --- EXPERIMENT 1: SIMPLE PENDULUM ---
+/**
+ * Chart.js plugin that draws error bars on the first dataset from each point's xErr and yErr.
+ */
+const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw(chart) {
+        const meta = chart.getDatasetMeta(0);
+        const ctx = chart.ctx;
+        const { x: xScale, y: yScale } = chart.scales;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(30, 64, 175, 0.8)';
+        ctx.lineWidth = 1;
+        chart.data.datasets[0].data.forEach((point, i) => {
+            const el = meta.data[i];
+            if (!el) return;
+            const cap = 4;
+            ctx.beginPath();
+            if (point.xErr) {
+                const left = xScale.getPixelForValue(point.x - point.xErr), right = xScale.getPixelForValue(point.x + point.xErr);
+                ctx.moveTo(left, el.y); ctx.lineTo(right, el.y);
+                ctx.moveTo(left, el.y - cap); ctx.lineTo(left, el.y + cap);
+                ctx.moveTo(right, el.y - cap); ctx.lineTo(right, el.y + cap);
+            }
+            if (point.yErr) {
+                const top = yScale.getPixelForValue(point.y + point.yErr), bottom = yScale.getPixelForValue(point.y - point.yErr);
+                ctx.moveTo(el.x, top); ctx.lineTo(el.x, bottom);
+                ctx.moveTo(el.x - cap, top); ctx.lineTo(el.x + cap, top);
+                ctx.moveTo(el.x - cap, bottom); ctx.lineTo(el.x + cap, bottom);
+            }
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+};
 
-const simplePendulumTheory = `
-    <div class="space-y-4">
-        <p>A simple pendulum consists of a point mass (bob) suspended from a fixed support by a light, inextensible string. When displaced, it oscillates under the influence of gravity.</p>
-        <p>The period of oscillation (T), the time for one complete swing, is given by:</p>
-        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">T = 2π * √(L/g)</div>
-        <p>Where: <b>T</b> is the period, <b>L</b> is the length, and <b>g</b> is the acceleration due to gravity.</p>
-        <p>To find 'g', we rearrange the formula to <b>T² = (4π²/g) * L</b>. This is a linear equation (y = mx). By plotting L vs. T², the slope of the line is <b>g / 4π²</b>.</p>
-        <p>Therefore, 'g' can be calculated from the slope:</p>
-        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono font-bold text-blue-600">g = 4π² * Slope</div>
-    </div>
-`;
+// --- EXPERIMENT REGISTRY ---
 
-let sp_state = {}; // State object to hold all variables for the Simple Pendulum experiment
-
-function initPendulumExperiment() {
-    sp_state = {
-        readings: [],
-        chart: null,
-        mode: 'simulation',
-        gravity: 0,
-        dom: {
-            lengthSlider: document.getElementById('sp-length'),
-            environmentSelect: document.getElementById('sp-environment'),
-            oscillationsSlider: document.getElementById('sp-oscillations'),
-            lengthValueSpan: document.getElementById('sp-length-value'),
-            oscillationsValueSpan: document.getElementById('sp-oscillations-value'),
-            addReadingBtn: document.getElementById('sp-add-reading-btn'),
-            resetBtn: document.getElementById('sp-reset-btn'),
-            readingsTable: document.getElementById('sp-readings-table'),
-            resultDisplay: document.getElementById('sp-result-display'),
-            pendulumRod: document.getElementById('pendulum-rod'),
-            simModeBtn: document.getElementById('sp-sim-mode-btn'),
-            manualModeBtn: document.getElementById('sp-manual-mode-btn'),
-            simulationControls: document.getElementById('sp-simulation-controls'),
-            manualEntryControls: document.getElementById('sp-manual-entry-controls'),
-            manualLengthInput: document.getElementById('sp-manual-length'),
-            manualTimeInput: document.getElementById('sp-manual-time'),
-            chartCanvas: document.getElementById('sp-chart'),
-            theoryBtn: document.getElementById('sp-theory-btn'),
-        }
+/*
+ * Every experiment is described by a definition object passed to registerExperiment(). The shared code below
+ * builds the menu card and the experiment view from it and handles mode switching, the reading list, the
+ * result panel and the chart. A definition has these fields:
+ *
+ *   id, number, title, summary       - Route id, menu position, card title and card description.
+ *   heading, subtitle                - Header of the experiment view.
+ *   aim, precautions                 - Aim sentence and list of precautions for the printed lab report.
+ *   theoryTitle, theory              - Title and HTML content of the theory modal.
+ *   apparatus                        - HTML for the animation shown above the simulation inputs.
+ *   elements                         - Map of state.dom keys to element IDs inside `apparatus`.
+ *   inputs, commonInputs             - Slider/select declarations for simulation mode and for both modes.
+ *   manualFields                     - Number fields for manual entry mode.
+ *   fields                           - Keys of the raw values a reading is derived from, used by export/import.
+ *   editFields                       - Raw values the student can correct with a row's Edit button, declared like
+ *                                      manualFields with an optional scale converting the stored value to the
+ *                                      label's unit.
+ *   repeat                           - Optional { key, average }: a new reading whose `key` fields match an
+ *                                      included reading is a repeat and is averaged into it over the `average`
+ *                                      fields instead of getting its own row.
+ *   columns                          - Observation table columns, { label, value(reading) }.
+ *   sortKey                          - Optional reading field to keep the table sorted by.
+ *   leastCounts                      - Instrument least count fields, { id, label, unit, value }.
+ *   chart                            - Optional { x, y, fit, overlays }, where x and y are { label, value(reading),
+ *                                      error(state, reading) } and error gives the optional error bar size.
+ *                                      x and y may also be functions of the state returning such an object.
+ *                                      fit adds the best-fit line, a residual plot and outlier flags.
+ *                                      overlays(state) returns extra lines, { label, data, color, dashed }.
+ *   setup(state)                     - Called when the experiment starts or is reset.
+ *   teardown(state)                  - Called before the state is thrown away.
+ *   onInput(state, inputId)          - Called after any input changes.
+ *   simulate(state)                  - Returns the raw values of a simulated reading, or null.
+ *   errorModel                       - Optional { random, offset, reaction } adding the measurement error inputs
+ *                                      used by measureTime(): random is the default random error in % of the
+ *                                      reading, offset adds a systematic offset, and reaction is 'both' when the
+ *                                      student reacts to start and stop the timer, 'stop' when only to stop it.
+ *   environment                      - Optional { unknown } adding the shared environment inputs read by
+ *                                      environmentGravity(): a solar-system body, a place on the Earth given by
+ *                                      latitude and altitude, or a custom g. Experiments that measure g set
+ *                                      unknown to also offer an unknown planet; the other experiments use g in
+ *                                      their analysis, so their environment inputs are shown in every mode.
+ *   stopwatch                        - Optional { release(state), field, instruction(state) } enabling the
+ *                                      Stopwatch mode. release starts the live animation and returns
+ *                                      { raw, time } with the reading's other raw values and the true duration,
+ *                                      or null; the student's stopwatch time becomes raw[field].
+ *   fromManual(state, values)        - Returns the raw values of a manual reading, or null.
+ *   motionImport                     - Optional { kind, fields, toRaw(state, values, motion) } adding an importer
+ *                                      for recorded motion CSV files to manual mode. kind 'oscillation' takes a
+ *                                      time series of angle, position or acceleration and finds its period with
+ *                                      PhysicsCore.oscillationAnalysis(); kind 'rotation' takes a flywheel angle
+ *                                      log and finds t and n₂ with PhysicsCore.flywheelRotationAnalysis().
+ *                                      fields are the ids of the manualFields the recording does not give, and
+ *                                      toRaw returns the raw values of the reading from them, or null.
+ *   derive(state, raw)               - Returns the complete reading with calculated columns, or null.
+ *   analyze(state)                   - Returns { message } or { lines, steps, result } for the result panel,
+ *                                      using includedReadings(state).
+ *                                      `steps` are HTML calculation steps for the report and `result` is
+ *                                      { label, value, error, unit, trueValue } with trueValue null if unknown
+ *                                      and error null when the method gives no uncertainty.
+ *   saveHidden(state)                - Optional; returns hidden simulation values (e.g. an unknown g) to keep
+ *                                      across page reloads. They are never written to exported files.
+ *   restoreHidden(state, hidden)     - Puts values returned by saveHidden back. Not called during an
+ *                                      assignment, whose hidden values always follow from the code.
+ *   unknowns(random)                 - Optional; draws the hidden values of the "unknown" choice from random(),
+ *                                      e.g. { g }. Called through experimentUnknowns() so assignments can seed it.
+ *   answers                          - Optional list of unknowns an instructor can check, { key, label, unit,
+ *                                      scale }, where scale converts the value of `key` to `unit`.
+ *
+ * Simulations draw their measurement noise from state.random() rather than Math.random(), so an assignment
+ * code also fixes the noise.
+ *
+ * Besides its derived values a reading may carry `trials`, the number of repeats it averages, and `excluded`,
+ * set when the student leaves it out of the analysis.
+ *
+ * An input is { id, label, type: 'range' | 'select', unit, decimals, min, max, step, value, options,
+ * resetsReadings, group, visible, aliases }. Its element ID is `<prefix>-<id>`, so the pendulum length slider is
+ * 'sp-length'. A select starts from `value` if given, else from its first option. Inputs with group 'error' are
+ * shown in the collapsible error model section. A select with resetsReadings clears the readings when it changes; a
+ * slider does so once it is released, after the student confirms, and otherwise springs back. visible(state) optionally hides the input while it returns
+ * false, and a select's aliases map option values of older sessions to the current ones.
+ * Hooks that reject a reading show a notification themselves and return null.
+ */
+
+const EXPERIMENTS = {}; // Experiment definitions by id
+const experimentStates = {}; // Running state of each experiment by id
+
+// Menu cards for experiments that are not built yet
+const COMING_SOON_EXPERIMENTS = [
+    { number: 4, title: 'Moment of a Couple' },
+    { number: 6, title: "Kater's Pendulum" },
+    { number: 7, title: 'Linear Air Track' },
+    { number: 8, title: 'Gyroscope' },
+    { number: 9, title: 'Inclined Plane' },
+    { number: 10, title: 'Bifilar Pendulum' },
+];
+
+// Tailwind classes for the styles a result line can have
+const RESULT_LINE_STYLES = {
+    main: ' text-blue-600 font-bold text-lg',
+    muted: ' text-sm text-slate-500',
+    small: ' text-sm',
+};
+
+/**
+ * Builds the inputs of an error model declaration.
+ * @param {object} model - The definition's errorModel.
+ * @returns {object[]} - The input declarations, all in the 'error' group.
+ */
+function errorModelInputs(model) {
+    const inputs = [{ id: 'errRandom', label: 'Random Error (σ)', type: 'range', min: 0, max: 5, step: 0.1, value: model.random, unit: '% of reading', decimals: 1 }];
+    if (model.offset) inputs.push({ id: 'errOffset', label: 'Systematic Offset', type: 'range', min: -0.5, max: 0.5, step: 0.01, value: 0, unit: 's', decimals: 2 });
+    if (model.reaction) {
+        inputs.push({ id: 'reactionMean', label: 'Reaction Time (mean)', type: 'range', min: 0, max: 0.4, step: 0.01, value: 0, unit: 's', decimals: 2 });
+        inputs.push({ id: 'reactionSd', label: 'Reaction Time (σ)', type: 'range', min: 0, max: 0.1, step: 0.005, value: 0, unit: 's', decimals: 3 });
+    }
+    return inputs.map(input => Object.assign(input, { group: 'error' }));
+}
+
+/**
+ * Builds the shared environment inputs.
+ * @param {object} environment - The definition's environment declaration.
+ * @returns {object[]} - The environment select and the custom g, latitude and altitude sliders it shows.
+ */
+function environmentInputs(environment) {
+    const bodies = SOLAR_SYSTEM_BODIES.map(body => [body.id, `${body.name} (${body.g.toFixed(2)} m/s²)`]);
+    const options = (environment.unknown ? [['unknown', 'Unknown Planet']] : []).concat(bodies, [['location', 'Earth (by location)'], ['custom', 'Custom g']]);
+    const shownFor = choice => state => inputValue(state, 'environment') === choice;
+    return [
+        { id: 'environment', label: 'Environment', type: 'select', options, value: environment.unknown ? 'unknown' : 'earth', aliases: { '9.81': 'earth', '1.62': 'moon' }, resetsReadings: true },
+        { id: 'latitude', label: 'Latitude (north +)', type: 'range', min: -90, max: 90, step: 0.5, value: 0, unit: '°', decimals: 1, resetsReadings: true, visible: shownFor('location') },
+        { id: 'altitude', label: 'Altitude', type: 'range', min: -500, max: 8800, step: 10, value: 0, unit: 'm', resetsReadings: true, visible: shownFor('location') },
+        { id: 'customG', label: 'Custom g', type: 'range', min: 0.5, max: 30, step: 0.01, value: PhysicsCore.STANDARD_GRAVITY, unit: 'm/s²', decimals: 2, resetsReadings: true, visible: shownFor('custom') },
+    ];
+}
+
+// Ids of the environment inputs, whose changes change g
+const ENVIRONMENT_INPUT_IDS = ['environment', 'latitude', 'altitude', 'customG'];
+
+/**
+ * Adds an experiment definition to the registry.
+ * @param {object} def - The experiment definition (see the field list above).
+ */
+function registerExperiment(def) {
+    def = Object.assign({ inputs: [], commonInputs: [], manualFields: [], editFields: [], leastCounts: [], elements: {} }, def);
+    if (def.environment && def.environment.unknown) def.inputs = def.inputs.concat(environmentInputs(def.environment));
+    else if (def.environment) def.commonInputs = def.commonInputs.concat(environmentInputs(def.environment));
+    if (def.errorModel) def.inputs = def.inputs.concat(errorModelInputs(def.errorModel));
+    EXPERIMENTS[def.id] = def;
+}
+
+// Labels of the modes, by the value of state.mode
+const MODE_LABELS = { simulation: 'Simulation', stopwatch: 'Stopwatch', manual: 'Manual Entry' };
+
+/**
+ * Fills the main menu with a card per registered experiment and the remaining "Coming Soon" cards.
+ */
+function renderMainMenu() {
+    const cards = Object.values(EXPERIMENTS).map(def => ({ number: def.number, html: `<div onclick="showExperiment('${def.id}')" class="experiment-card bg-white p-6 rounded-lg shadow-md cursor-pointer"><h2 class="text-xl font-semibold text-blue-600">${def.number}. ${def.title}</h2><p class="text-slate-500 mt-2">${def.summary}</p></div>` }))
+        .concat(COMING_SOON_EXPERIMENTS.map(c => ({ number: c.number, html: `<div class="experiment-card disabled-card"><h2 class="text-xl font-semibold text-gray-500">${c.number}. ${c.title}</h2><p class="text-slate-400 mt-2">Coming Soon.</p></div>` })));
+    experimentCards.innerHTML = cards.sort((a, b) => a.number - b.number).map(c => c.html).join('');
+}
+
+/**
+ * Builds the HTML for one slider or select input.
+ * @param {string} prefix - The experiment's element ID prefix.
+ * @param {object} input - The input declaration.
+ * @returns {string} - The input's HTML.
+ */
+function renderInput(prefix, input) {
+    const id = `${prefix}-${input.id}`;
+    if (input.type === 'select') {
+        const options = input.options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        return `<div id="${id}-field"><label for="${id}" class="block text-sm font-medium text-slate-700">${input.label}</label><select id="${id}" class="mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md text-sm shadow-sm">${options}</select></div>`;
+    }
+    const unit = input.unit === '°' ? '°' : ` ${input.unit || ''}`;
+    return `<div id="${id}-field"><label for="${id}" class="block text-sm font-medium text-slate-700">${input.label}: <span id="${id}-value">${input.value.toFixed(input.decimals || 0)}</span>${unit}</label><input type="range" id="${id}" min="${input.min}" max="${input.max}" step="${input.step}" value="${input.value}" class="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer"></div>`;
+}
+
+/**
+ * Builds an experiment's view from its definition and appends it to the experiments container.
+ * @param {object} def - The experiment definition.
+ */
+function renderExperimentView(def) {
+    const p = def.prefix;
+    const motionImportHTML = def.motionImport ? `<button id="${p}-motion-import-btn" class="w-full bg-white border border-slate-300 text-slate-700 text-sm font-medium py-2 px-4 rounded-lg hover:bg-slate-100 transition">Import Recorded Motion (CSV)</button>` : '';
+    const manualHTML = def.manualFields.map(f => `<div><label for="${p}-manual-${f.id}" class="block text-sm font-medium text-slate-700">${f.label}</label><input type="number" id="${p}-manual-${f.id}" placeholder="${f.placeholder}" class="mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md text-sm shadow-sm"></div>`).join('');
+    const leastCountHTML = def.leastCounts.length === 0 ? '' : `<div class="mt-4"><p class="block text-sm font-medium text-slate-700 mb-1">Instrument Least Counts</p><div class="grid grid-cols-2 gap-2">${def.leastCounts.map(lc => `<div><label for="${p}-lc-${lc.id}" class="block text-xs text-slate-500">${lc.label} (${lc.unit})</label><input type="number" id="${p}-lc-${lc.id}" value="${lc.value}" min="0" step="any" class="mt-1 block w-full px-2 py-1 bg-white border border-slate-300 rounded-md text-sm shadow-sm"></div>`).join('')}</div></div>`;
+    const smallButton = 'w-full bg-white border border-slate-300 text-slate-700 text-sm font-medium py-1 px-2 rounded-lg hover:bg-slate-100 transition';
+    const headerCells = def.columns.map(c => `<th class="px-4 py-2">${c.label}</th>`).join('') + '<th class="px-2 py-2"></th>';
+    const modes = def.stopwatch ? ['simulation', 'stopwatch', 'manual'] : ['simulation', 'manual'];
+    const modeTabs = modes.map(mode => `<button id="${p}-${mode === 'simulation' ? 'sim' : mode}-mode-btn" class="tab-button ${def.stopwatch ? 'w-1/3' : 'w-1/2'} rounded-md py-1 text-sm font-medium">${MODE_LABELS[mode]}</button>`).join('');
+    const errorInputs = def.inputs.filter(i => i.group === 'error');
+    const errorModelHTML = errorInputs.length === 0 ? '' : `<details id="${p}-error-model" class="mt-4 border border-slate-200 rounded-lg p-3"><summary class="text-sm font-medium text-slate-700 cursor-pointer">Measurement Error Model</summary><p class="text-xs text-slate-500 mt-2">Simulated timings are rounded to the time least count. The random error scatters readings, while a systematic offset shifts them all alike${def.errorModel.reaction === 'both' ? '. The reaction time delays both starting and stopping the timer, so its mean cancels and only its spread adds error' : def.errorModel.reaction ? '. The timer starts with the release but stopping it waits for your reaction, so the mean reaction time makes every reading too long' : ''}.</p><div class="space-y-4 mt-3">${errorInputs.map(i => renderInput(p, i)).join('')}</div></details>`;
+    const stopwatchHTML = !def.stopwatch ? '' : `<div id="${p}-stopwatch-controls" class="hidden mt-4 bg-slate-50 border border-slate-200 rounded-lg p-4 text-center"><p id="${p}-stopwatch-instruction" class="text-sm text-slate-600"></p><div id="${p}-stopwatch-display" class="stopwatch-display my-3">0.00 s</div><div class="grid grid-cols-2 gap-2"><button id="${p}-release-btn" class="bg-teal-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-teal-600 transition">Release</button><button id="${p}-stopwatch-btn" class="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition">Start</button></div></div>`;
+    const residualHTML = def.chart && def.chart.fit ? `<h3 class="text-md font-semibold mt-4 mb-2">Residuals</h3><div class="bg-slate-50 p-4 rounded-lg h-48"><canvas id="${p}-residual-chart"></canvas></div>` : '';
+    const chartHTML = def.chart ? `<div class="mt-6"><h2 id="${p}-chart-title" class="text-xl font-semibold mb-4 border-b pb-2">Graph</h2><div class="bg-slate-50 p-4 rounded-lg"><canvas id="${p}-chart"></canvas></div>${residualHTML}</div>` : '';
+    const view = document.createElement('div');
+    view.id = def.id;
+    view.className = 'hidden';
+    view.innerHTML = `
+        <header class="flex items-center mb-8">
+            <button onclick="showMainMenu()" class="mr-4 p-2 rounded-full hover:bg-slate-200 transition-colors">
+                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="19" y1="12" x2="5" y2="12"></line><polyline points="12 19 5 12 12 5"></polyline></svg>
+            </button>
+            <div><h1 class="text-3xl font-bold text-slate-900">${def.heading}</h1><p class="text-md text-slate-600">${def.subtitle}</p></div>
+        </header>
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg">
+                <h2 class="text-xl font-semibold mb-4 border-b pb-2">Controls</h2>
+                <div class="flex border border-slate-300 rounded-lg p-1 mb-4 bg-slate-100">${modeTabs}</div>
+                <div id="${p}-simulation-controls">${def.apparatus}<div class="space-y-4">${def.inputs.filter(i => !i.group).map(i => renderInput(p, i)).join('')}</div>${errorModelHTML}</div>
+                ${stopwatchHTML}
+                <div id="${p}-manual-entry-controls" class="hidden"><div class="space-y-4 py-4">${manualHTML}</div>${motionImportHTML}</div>
+                <div class="mt-4 space-y-4">${def.commonInputs.map(i => renderInput(p, i)).join('')}</div>
+                ${leastCountHTML}
+                <div class="mt-6 grid grid-cols-1 gap-2">
+                    <button id="${p}-add-reading-btn" class="w-full bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition">Add Reading</button>
+                    <button id="${p}-theory-btn" class="w-full bg-teal-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-teal-600 transition">View Theory</button>
+                    <button id="${p}-report-btn" class="w-full bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-600 transition">Generate Report</button>
+                    <button id="${p}-reset-btn" class="w-full bg-slate-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-slate-700 transition">Reset</button>
+                    <div class="grid grid-cols-3 gap-2">
+                        <button id="${p}-export-csv-btn" class="${smallButton}">Export CSV</button>
+                        <button id="${p}-export-json-btn" class="${smallButton}">Export JSON</button>
+                        <button id="${p}-import-btn" class="${smallButton}">Import</button>
+                    </div>
+                    <button id="${p}-share-btn" class="${smallButton}">Share Link</button>
+                    <input type="file" id="${p}-import-file" accept=".csv,.json,text/csv,application/json" class="hidden">
+                </div>
+            </div>
+            <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg">
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-6"><div class="h-80"><h2 class="text-xl font-semibold mb-4 border-b pb-2">Observation Table</h2><div class="overflow-y-auto h-full"><table class="w-full text-sm text-left"><thead class="text-xs text-slate-700 uppercase bg-slate-100 sticky top-0"><tr>${headerCells}</tr></thead><tbody id="${p}-readings-table"></tbody></table></div></div><div class="h-80"><h2 class="text-xl font-semibold mb-4 border-b pb-2">Result</h2><div id="${p}-result-display" class="bg-slate-50 p-4 rounded-lg text-center h-full flex flex-col justify-center"></div></div></div>
+                ${chartHTML}
+            </div>
+        </div>`;
+    experimentsContainer.appendChild(view);
+
+    // Listeners are attached once and always act on the experiment's current state
+    const byId = (suffix) => document.getElementById(`${p}-${suffix}`);
+    const current = () => experimentStates[def.id];
+    byId('sim-mode-btn').addEventListener('click', () => { setExperimentMode(current(), 'simulation'); saveSession(current()); });
+    byId('manual-mode-btn').addEventListener('click', () => { setExperimentMode(current(), 'manual'); saveSession(current()); });
+    if (def.stopwatch) {
+        byId('stopwatch-mode-btn').addEventListener('click', () => { setExperimentMode(current(), 'stopwatch'); saveSession(current()); });
+        byId('release-btn').addEventListener('click', () => releaseForStopwatch(current()));
+        byId('stopwatch-btn').addEventListener('click', () => toggleStopwatch(current()));
+    }
+    byId('add-reading-btn').addEventListener('click', () => addExperimentReading(current()));
+    if (def.motionImport) byId('motion-import-btn').addEventListener('click', () => openMotionImport(current()));
+    byId('readings-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) readingAction(current(), button.dataset.action, Number(button.dataset.index));
+    });
+    byId('reset-btn').addEventListener('click', () => {
+        if (current().readings.length > 0 && !confirm('Reset clears all readings of this session. Continue?')) return;
+        clearSavedSession(def.id);
+        initExperiment(def.id);
+    });
+    byId('export-csv-btn').addEventListener('click', () => downloadFile(`${def.id}-session.csv`, 'text/csv', sessionToCSV(current())));
+    byId('export-json-btn').addEventListener('click', () => downloadFile(`${def.id}-session.json`, 'application/json', JSON.stringify(sessionData(current()), null, 2)));
+    byId('import-btn').addEventListener('click', () => byId('import-file').click());
+    byId('share-btn').addEventListener('click', () => openShareLink(current()));
+    byId('import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow the same file to be picked again
+        if (file) importSessionFile(current(), file);
+    });
+    byId('theory-btn').addEventListener('click', () => openModal(def.theoryTitle, def.theory));
+    byId('report-btn').addEventListener('click', () => generateReport(current()));
+    def.leastCounts.forEach(lc => byId(`lc-${lc.id}`).addEventListener('input', () => updateExperimentUI(current())));
+    def.inputs.concat(def.commonInputs).forEach(input => {
+        const el = byId(input.id);
+        el.addEventListener(input.type === 'select' ? 'change' : 'input', () => {
+            const state = current();
+            if (input.type === 'range') byId(`${input.id}-value`).textContent = parseFloat(el.value).toFixed(input.decimals || 0);
+            if (input.resetsReadings && input.type === 'select') state.readings = [];
+            if (def.onInput) def.onInput(state, input.id);
+            if (state.mode === 'stopwatch') resetStopwatch(state); // A trial released with other settings no longer counts
+            updateExperimentUI(state);
+        });
+        // A slider fires input on every step of a drag, so its readings are only cleared when it settles
+        if (input.type === 'range' && input.resetsReadings) el.addEventListener('change', () => {
+            const state = current();
+            if (el.value === state.settledInputs[input.id]) return;
+            if (state.readings.length > 0 && !confirm(`Changing ${input.label} clears the readings taken so far. Continue?`)) {
+                setInputValue(state, input.id, state.settledInputs[input.id]);
+                if (def.onInput) def.onInput(state, input.id);
+                updateExperimentUI(state);
+                return;
+            }
+            state.settledInputs[input.id] = el.value;
+            state.readings = [];
+            updateExperimentUI(state);
+        });
+    });
+}
+
+/**
+ * Starts (or restarts) an experiment with a fresh state.
+ * @param {string} experimentId - The registered experiment's id.
+ */
+function initExperiment(experimentId) {
+    const def = EXPERIMENTS[experimentId];
+    const old = experimentStates[experimentId];
+    if (old && def.teardown) def.teardown(old);
+    if (old) {
+        cancelAnimationFrame(old.stopwatch.frameId);
+        [old.chart, old.residualChart].forEach(chart => chart && chart.destroy()); // Free the canvases for the new state
+    }
+    const p = def.prefix;
+    const dom = {
+        inputs: {},
+        manualFields: {},
+        simModeBtn: document.getElementById(`${p}-sim-mode-btn`),
+        manualModeBtn: document.getElementById(`${p}-manual-mode-btn`),
+        simulationControls: document.getElementById(`${p}-simulation-controls`),
+        manualEntryControls: document.getElementById(`${p}-manual-entry-controls`),
+        readingsTable: document.getElementById(`${p}-readings-table`),
+        resultDisplay: document.getElementById(`${p}-result-display`),
+        stopwatchModeBtn: document.getElementById(`${p}-stopwatch-mode-btn`),
+        stopwatchControls: document.getElementById(`${p}-stopwatch-controls`),
+        stopwatchDisplay: document.getElementById(`${p}-stopwatch-display`),
+        stopwatchButton: document.getElementById(`${p}-stopwatch-btn`),
+        chartCanvas: document.getElementById(`${p}-chart`),
+        residualCanvas: document.getElementById(`${p}-residual-chart`),
     };
+    def.inputs.concat(def.commonInputs).forEach(i => dom.inputs[i.id] = document.getElementById(`${p}-${i.id}`));
+    def.manualFields.forEach(f => dom.manualFields[f.id] = document.getElementById(`${p}-manual-${f.id}`));
+    Object.entries(def.elements).forEach(([key, id]) => dom[key] = document.getElementById(id));
+
+    const saved = loadSavedSession(experimentId);
+    const state = { def, readings: [], chart: null, residualChart: null, mode: 'simulation', dom, settledInputs: {}, random: assignmentRandom(experimentId, 'noise') };
+    state.stopwatch = { trial: null, startedAt: null, elapsed: null, frameId: 0 };
+    experimentStates[experimentId] = state;
+    // Selects start from their first option, like the original "Unknown" choices, unless they declare a value
+    def.inputs.concat(def.commonInputs).filter(i => i.type === 'select').forEach(i => dom.inputs[i.id].value = i.value || i.options[0][0]);
+    setExperimentMode(state, 'simulation');
+    if (def.setup) def.setup(state);
+    if (def.chart) initExperimentChart(state);
+    if (saved) applySession(state, saved); // Pick up where the last visit or page load left off
+    Object.entries(dom.inputs).forEach(([id, el]) => state.settledInputs[id] = el.value);
+    updateExperimentUI(state);
+}
+
+/**
+ * Sets a declared input's value and its displayed value label.
+ * @param {object} state - The experiment state.
+ * @param {string} inputId - The input's id in the definition.
+ * @param {number|string} value - The new value.
+ */
+function setInputValue(state, inputId, value) {
+    const el = state.dom.inputs[inputId];
+    el.value = value;
+    state.settledInputs[inputId] = el.value;
+    const input = state.def.inputs.concat(state.def.commonInputs).find(i => i.id === inputId);
+    if (input.type === 'range') document.getElementById(`${el.id}-value`).textContent = parseFloat(el.value).toFixed(input.decimals || 0);
+}
+
+/**
+ * Reads an instrument least count entered by the user.
+ * @param {object} state - The experiment state.
+ * @param {string} leastCountId - The least count's id in the definition.
+ * @returns {number} - The least count, or zero if the field is blank or invalid.
+ */
+function leastCount(state, leastCountId) {
+    const value = parseFloat(document.getElementById(`${state.def.prefix}-lc-${leastCountId}`).value);
+    return value > 0 ? value : 0;
+}
+
+/**
+ * Reads the current value of a declared input.
+ * @param {object} state - The experiment state.
+ * @param {string} inputId - The input's id in the definition.
+ * @returns {number|string} - Sliders give numbers, selects give their option value.
+ */
+function inputValue(state, inputId) {
+    const el = state.dom.inputs[inputId];
+    return el.type === 'range' ? parseFloat(el.value) : el.value;
+}
+
+function setExperimentMode(state, mode) {
+    state.mode = mode;
+    const D = state.dom;
+    const isManual = mode === 'manual';
+    D.simulationControls.classList.toggle('hidden', isManual); // The stopwatch needs the live apparatus too
+    D.manualEntryControls.classList.toggle('hidden', !isManual);
+    D.simModeBtn.classList.toggle('active', mode === 'simulation');
+    D.manualModeBtn.classList.toggle('active', isManual);
+    if (state.def.stopwatch) {
+        D.stopwatchModeBtn.classList.toggle('active', mode === 'stopwatch');
+        D.stopwatchControls.classList.toggle('hidden', mode !== 'stopwatch');
+        const errorModel = document.getElementById(`${state.def.prefix}-error-model`);
+        if (errorModel) errorModel.classList.toggle('hidden', mode === 'stopwatch'); // Your own timing is the error
+        resetStopwatch(state);
+    }
+}
 
-    const D = sp_state.dom; // Shortcut for DOM elements
-    // Attach event listeners
-    D.simModeBtn.addEventListener('click', () => sp_setMode('simulation'));
-    D.manualModeBtn.addEventListener('click', () => sp_setMode('manual'));
-    D.lengthSlider.addEventListener('input', () => { D.lengthValueSpan.textContent = parseFloat(D.lengthSlider.value).toFixed(2); sp_updatePendulumAnimation(); });
-    D.environmentSelect.addEventListener('change', () => { sp_state.readings = []; sp_setSimulationGravity(); sp_updateUI(); });
-    D.oscillationsSlider.addEventListener('input', () => { D.oscillationsValueSpan.textContent = D.oscillationsSlider.value; });
-    D.addReadingBtn.addEventListener('click', sp_addReading);
-    D.resetBtn.addEventListener('click', initPendulumExperiment);
-    D.theoryBtn.addEventListener('click', () => openModal('Simple Pendulum Theory', simplePendulumTheory));
-    
-    // Initial setup
-    D.environmentSelect.value = 'unknown';
-    sp_setMode('simulation');
-    sp_setSimulationGravity();
-    sp_initChart();
-    sp_updateUI();
-}
-
-function sp_setMode(mode) {
-    sp_state.mode = mode;
-    const D = sp_state.dom;
-    const isSim = mode === 'simulation';
-    D.simulationControls.classList.toggle('hidden', !isSim);
-    D.manualEntryControls.classList.toggle('hidden', isSim);
-    D.simModeBtn.classList.toggle('active', isSim);
-    D.manualModeBtn.classList.toggle('active', !isSim);
-}
-
-function sp_setSimulationGravity() {
-    const D = sp_state.dom;
-    const envVal = D.environmentSelect.value;
-    sp_state.gravity = (envVal === 'unknown') ? (5 + Math.random() * 15) : parseFloat(envVal); // Random g for unknown
-    sp_updatePendulumAnimation();
-}
-
-function sp_addReading() {
-    const D = sp_state.dom;
-    const n = parseInt(D.oscillationsSlider.value);
-    let L, t_measured;
-
-    if (sp_state.mode === 'simulation') {
-        L = parseFloat(D.lengthSlider.value);
-        const T_theoretical = 2 * Math.PI * Math.sqrt(L / sp_state.gravity);
-        t_measured = (n * T_theoretical) * (1 + (Math.random() - 0.5) * 0.04); // Add small random error
-        sp_playPendulumAnimation();
+/**
+ * Reads number fields declared like manualFields. Required fields must be positive numbers (zero too if the
+ * field sets allowZero, any number if it sets allowNegative); blank optional fields are left out.
+ * @param {object[]} fields - The field declarations.
+ * @param {function} elementOf - Gives the input element of a field.
+ * @returns {object|null} - The values by field id, or null after notifying the user.
+ */
+function readNumberFields(fields, elementOf) {
+    const values = {};
+    for (const field of fields) {
+        const raw = elementOf(field).value;
+        if (raw === '' && field.optional) continue;
+        const value = parseFloat(raw);
+        const error = validateMeasurement(value, field);
+        if (error) { showNotification(error); return null; }
+        values[field.id] = value;
+    }
+    return values;
+}
+
+function readManualFields(state) {
+    return readNumberFields(state.def.manualFields, field => state.dom.manualFields[field.id]);
+}
+
+/**
+ * Derives a reading from raw values and adds it to the table, or averages it into the reading it repeats.
+ * @param {object} state - The experiment state.
+ * @param {object} raw - The raw values of the reading.
+ * @returns {boolean} - True if the reading was added, false after notifying the user.
+ */
+function addRawReading(state, raw) {
+    const def = state.def;
+    const repeat = def.repeat && mergeRepeatedReading(state.readings, raw, def.repeat);
+    const reading = def.derive(state, repeat ? repeat.raw : raw);
+    if (!reading) return false;
+
+    if (repeat) state.readings[repeat.index] = reading; // Averaged with the earlier trials
+    else state.readings.push(reading);
+    sortReadings(state);
+    updateExperimentUI(state);
+    return true;
+}
+
+function addExperimentReading(state) {
+    const def = state.def;
+    let raw;
+    if (state.mode === 'simulation') {
+        raw = def.simulate(state);
+    } else if (state.mode === 'stopwatch') {
+        raw = stopwatchReading(state);
     } else { // Manual mode
-        L = parseFloat(D.manualLengthInput.value);
-        t_measured = parseFloat(D.manualTimeInput.value);
-        if (isNaN(L) || isNaN(t_measured) || L <= 0 || t_measured <= 0) {
-            showNotification('Please enter valid positive numbers.'); return;
-        }
+        const values = readManualFields(state);
+        raw = values && def.fromManual(state, values);
+    }
+    if (!raw || !addRawReading(state, raw)) return;
+    if (state.mode === 'manual') {
+        Object.values(state.dom.manualFields).forEach(el => el.value = '');
+        state.dom.manualFields[def.manualFields[0].id].focus();
     }
-    if (sp_state.readings.some(r => r.L === L)) {
-        showNotification('A reading for this length already exists.'); return;
+}
+
+function sortReadings(state) {
+    const key = state.def.sortKey;
+    if (key) state.readings.sort((a, b) => a[key] - b[key]);
+    state.readings.forEach((r, i) => r.sno = i + 1); // Re-number
+}
+
+/**
+ * Gives the readings that take part in the analysis.
+ * @param {object} state - The experiment state.
+ * @returns {object[]} - The readings the student has not excluded.
+ */
+function includedReadings(state) {
+    return state.readings.filter(r => !r.excluded);
+}
+
+/**
+ * Fits the graph's included readings and checks their residuals against Chauvenet's criterion.
+ * @param {object} state - The experiment state.
+ * @returns {object|null} - { fit, points } with a point { reading, x, residual, z, suspect } per included reading,
+ *                          or null if the graph has no best-fit line.
+ */
+function residualCheck(state) {
+    if (!state.def.chart || !state.def.chart.fit) return null;
+    const { x, y } = chartAxes(state);
+    const readings = includedReadings(state);
+    const xs = readings.map(x.value);
+    const { fit, residuals, z, outliers } = residualAnalysis(xs, readings.map(y.value));
+    return { fit, points: readings.map((reading, i) => ({ reading, x: xs[i], residual: residuals[i], z: z[i], suspect: outliers[i] })) };
+}
+
+/**
+ * Carries out a row button of the observation table.
+ * @param {object} state - The experiment state.
+ * @param {string} action - 'edit', 'exclude' (which toggles) or 'delete'.
+ * @param {number} index - The reading's index in state.readings.
+ */
+function readingAction(state, action, index) {
+    const reading = state.readings[index];
+    if (!reading) return;
+    if (action === 'edit') { openReadingEditor(state, index); return; }
+    if (action === 'delete') state.readings.splice(index, 1);
+    else reading.excluded = !reading.excluded;
+    sortReadings(state);
+    updateExperimentUI(state);
+}
+
+/**
+ * Opens a modal to correct the raw values of a reading.
+ * @param {object} state - The experiment state.
+ * @param {number} index - The reading's index in state.readings.
+ */
+function openReadingEditor(state, index) {
+    const reading = state.readings[index];
+    const fields = state.def.editFields.map(f => `<div><label for="edit-reading-${f.id}" class="block text-sm font-medium text-slate-700">${f.label}</label><input type="number" id="edit-reading-${f.id}" step="any" value="${Number((reading[f.id] * (f.scale || 1)).toPrecision(10))}" class="mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md shadow-sm"></div>`).join('');
+    const note = reading.trials > 1 ? `<p class="text-sm text-slate-500">This reading is the mean of ${reading.trials} trials.</p>` : '';
+    openModal(`Edit Reading ${reading.sno}`, `<div class="space-y-4">${note}${fields}<button id="edit-reading-save-btn" class="py-2 px-4 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white">Save</button></div>`);
+    document.getElementById('edit-reading-save-btn').addEventListener('click', () => {
+        if (saveEditedReading(state, reading)) closeModal();
+    });
+}
+
+/**
+ * Rebuilds a reading from the values in the edit modal and puts it in place of the old one.
+ * @param {object} state - The experiment state.
+ * @param {object} old - The reading being edited.
+ * @returns {boolean} - True if the reading was replaced, false after notifying the user.
+ */
+function saveEditedReading(state, old) {
+    const def = state.def;
+    const index = state.readings.indexOf(old);
+    if (index < 0) return true; // Gone after a reset; nothing left to edit
+    const raw = { trials: old.trials, excluded: old.excluded };
+    def.fields.forEach(key => raw[key] = old[key]);
+    for (const field of def.editFields) {
+        const value = parseFloat(document.getElementById(`edit-reading-${field.id}`).value);
+        const error = validateMeasurement(value, field);
+        if (error) { showNotification(error); return false; }
+        raw[field.id] = value / (field.scale || 1);
     }
+    const reading = def.derive(state, raw);
+    if (!reading) return false;
+    state.readings[index] = reading;
+    sortReadings(state);
+    updateExperimentUI(state);
+    return true;
+}
+
+// Point colours of the graphs
+const POINT_COLOR = 'rgba(59, 130, 246, 0.7)';
+const SUSPECT_POINT_COLOR = 'rgba(239, 68, 68, 0.8)';
+const EXCLUDED_POINT_COLOR = 'rgba(148, 163, 184, 0.6)';
 
-    const T = t_measured / n;
-    sp_state.readings.push({ sno: 0, L: L, t: t_measured, T: T, T2: T * T });
-    sp_state.readings.sort((a, b) => a.L - b.L).forEach((r, i) => r.sno = i + 1); // Sort and re-number
-    
-    sp_updateUI();
-    if (sp_state.mode === 'manual') { D.manualLengthInput.value = D.manualTimeInput.value = ''; D.manualLengthInput.focus(); }
+/**
+ * Builds an observation table row with the reading's Edit, Exclude and Delete buttons.
+ * @param {object} state - The experiment state.
+ * @param {number} index - The reading's index in state.readings.
+ * @param {object|undefined} point - The reading's point from residualCheck(), if it was fitted.
+ * @returns {string} - The row's HTML.
+ */
+function readingRowHTML(state, index, point) {
+    const r = state.readings[index];
+    const suspect = point && point.suspect;
+    const rowClass = r.excluded ? 'bg-slate-50 text-slate-400' : suspect ? 'bg-red-50' : 'bg-white';
+    const title = suspect ? ` title="Possible outlier: standardized residual ${point.z.toFixed(1)}σ fails Chauvenet's criterion"` : '';
+    const cells = state.def.columns.map(c => `<td class="px-4 py-2${r.excluded ? ' line-through' : ''}">${c.value(r)}</td>`).join('');
+    const trials = r.trials > 1 ? `<span class="text-xs text-slate-500 mr-1" title="Mean of ${r.trials} trials">×${r.trials}</span>` : '';
+    const button = (action, label, color) => `<button data-action="${action}" data-index="${index}" class="text-xs ${color} hover:underline mr-2">${label}</button>`;
+    const actions = button('edit', 'Edit', 'text-blue-600') + button('exclude', r.excluded ? 'Include' : 'Exclude', 'text-slate-600') + button('delete', 'Delete', 'text-red-600');
+    return `<tr class="${rowClass} border-b"${title}>${cells}<td class="px-2 py-2 whitespace-nowrap">${trials}${actions}</td></tr>`;
 }
 
-function sp_updateUI() {
-    const D = sp_state.dom;
+function updateExperimentUI(state) {
+    const D = state.dom;
+    const def = state.def;
+    const check = residualCheck(state);
+    const points = new Map(check ? check.points.map(p => [p.reading, p]) : []);
+    // Show only the inputs that apply to the current choices
+    def.inputs.concat(def.commonInputs).filter(i => i.visible).forEach(i => document.getElementById(`${def.prefix}-${i.id}-field`).classList.toggle('hidden', !i.visible(state)));
+
     // Update table
-    D.readingsTable.innerHTML = sp_state.readings.length === 0 ? `<tr><td colspan="5" class="p-4 text-center text-slate-500">No readings.</td></tr>` : sp_state.readings.map(r => `<tr class="bg-white border-b"><td class="px-4 py-2">${r.sno}</td><td class="px-4 py-2">${r.L.toFixed(2)}</td><td class="px-4 py-2">${r.t.toFixed(2)}</td><td class="px-4 py-2">${r.T.toFixed(3)}</td><td class="px-4 py-2">${r.T2.toFixed(3)}</td></tr>`).join('');
-    
+    D.readingsTable.innerHTML = state.readings.length === 0 ? `<tr><td colspan="${def.columns.length + 1}" class="p-4 text-center text-slate-500">No readings.</td></tr>` : state.readings.map((r, i) => readingRowHTML(state, i, points.get(r))).join('');
+
     // Update chart
-    const dataPoints = sp_state.readings.map(r => ({ y: r.L, x: r.T2 }));
-    sp_state.chart.data.datasets[0].data = dataPoints;
-    if (sp_state.readings.length >= 2) {
-        const { slope, intercept } = linearRegression(sp_state.readings.map(r => r.T2), sp_state.readings.map(r => r.L));
-        const xVals = sp_state.readings.map(r => r.T2);
-        const minX = Math.min(...xVals), maxX = Math.max(...xVals);
-        sp_state.chart.data.datasets[1].data = [{ x: minX, y: slope * minX + intercept }, { x: maxX, y: slope * maxX + intercept }];
-    } else {
-        sp_state.chart.data.datasets[1].data = [];
+    if (state.chart) {
+        const { x, y } = chartAxes(state);
+        const included = includedReadings(state), excluded = state.readings.filter(r => r.excluded);
+        document.getElementById(`${def.prefix}-chart-title`).textContent = `Graph: ${y.label.split(' (')[0]} vs ${x.label.split(' (')[0]}`;
+        state.chart.options.scales.x.title.text = x.label;
+        state.chart.options.scales.y.title.text = y.label;
+        state.chart.data.datasets[0].data = included.map(r => ({ x: x.value(r), y: y.value(r), xErr: x.error ? x.error(state, r) : 0, yErr: y.error ? y.error(state, r) : 0 }));
+        state.chart.data.datasets[0].backgroundColor = included.map(r => (points.get(r) && points.get(r).suspect ? SUSPECT_POINT_COLOR : POINT_COLOR));
+        if (check && included.length >= 2) {
+            const { slope, intercept } = check.fit;
+            const xVals = check.points.map(p => p.x);
+            const minX = Math.min(...xVals), maxX = Math.max(...xVals);
+            state.chart.data.datasets[1].data = [{ x: minX, y: slope * minX + intercept }, { x: maxX, y: slope * maxX + intercept }];
+        } else {
+            state.chart.data.datasets[1].data = [];
+        }
+        state.chart.data.datasets.length = 2;
+        if (excluded.length > 0) state.chart.data.datasets.push({ label: 'Excluded', data: excluded.map(r => ({ x: x.value(r), y: y.value(r) })), backgroundColor: EXCLUDED_POINT_COLOR, pointRadius: 5, pointStyle: 'crossRot', borderColor: EXCLUDED_POINT_COLOR });
+        if (def.chart.overlays) def.chart.overlays(state).forEach(o => state.chart.data.datasets.push({ label: o.label, data: o.data, borderColor: o.color, borderDash: o.dashed ? [6, 4] : [], type: 'line', fill: false, pointRadius: 0, borderWidth: 2 }));
+        state.chart.update();
     }
-    sp_state.chart.update();
+    if (state.residualChart) updateResidualChart(state, check);
 
     // Update result
-    if (sp_state.readings.length < 2) {
-        D.resultDisplay.innerHTML = `<p class="text-slate-500">Add at least two readings.</p>`;
-        return;
-    }
-    const { slope, r2 } = linearRegression(sp_state.readings.map(r => r.T2), sp_state.readings.map(r => r.L));
-    const g_exp = slope * 4 * Math.PI * Math.PI;
-    const trueG_HTML = (sp_state.mode === 'simulation' && D.environmentSelect.value !== 'unknown') ? `<p class="flex justify-between"><strong>True g:</strong> <span>${sp_state.gravity.toFixed(2)} m/s²</span></p>` : '';
-    D.resultDisplay.innerHTML = `<div class="space-y-3 text-left"><p class="flex justify-between"><strong>Graph Slope:</strong> <span>${slope.toFixed(4)}</span></p>${trueG_HTML}<p class="flex justify-between text-blue-600 font-bold text-lg"><strong>Calculated g:</strong> <span>${g_exp.toFixed(2)} m/s²</span></p><p class="flex justify-between text-sm text-slate-500"><strong>Correlation (R²):</strong> <span>${r2.toFixed(4)}</span></p></div>`;
+    const result = def.analyze(state);
+    const suspects = check ? check.points.filter(p => p.suspect) : [];
+    const lines = result.message ? [] : result.lines.concat(suspects.length === 0 ? [] : [{ label: 'Possible outliers', value: suspects.map(p => `S.No ${p.reading.sno} (${p.z.toFixed(1)}σ)`).join(', '), style: 'small' }]);
+    D.resultDisplay.innerHTML = result.message ? `<p class="text-slate-500">${result.message}</p>` : `<div class="space-y-3 text-left">${lines.map(l => `<p class="flex justify-between${RESULT_LINE_STYLES[l.style] || ''}"><strong>${l.label}:</strong> <span>${l.value}</span></p>`).join('')}</div>`;
+
+    saveSession(state);
+}
+
+/**
+ * Plots the residuals of the included readings about the best-fit line, with suspect readings in red.
+ * @param {object} state - The experiment state.
+ * @param {object} check - The result of residualCheck().
+ */
+function updateResidualChart(state, check) {
+    const { x, y } = chartAxes(state);
+    const unit = (y.label.match(/\(([^)]*)\)$/) || [])[1];
+    const points = check.points.length >= 2 ? check.points : [];
+    const chart = state.residualChart;
+    chart.options.scales.x.title.text = x.label;
+    chart.options.scales.y.title.text = unit ? `Residual (${unit})` : 'Residual';
+    chart.data.datasets[0].data = points.map(p => ({ x: p.x, y: p.residual }));
+    chart.data.datasets[0].backgroundColor = points.map(p => (p.suspect ? SUSPECT_POINT_COLOR : POINT_COLOR));
+    const xVals = points.map(p => p.x);
+    chart.data.datasets[1].data = points.length === 0 ? [] : [{ x: Math.min(...xVals), y: 0 }, { x: Math.max(...xVals), y: 0 }];
+    chart.update();
+}
+
+/**
+ * Resolves the chart's axis definitions, which may depend on the experiment's settings.
+ * @param {object} state - The experiment state.
+ * @returns {object} - The { x, y } axis definitions.
+ */
+function chartAxes(state) {
+    const { x, y } = state.def.chart;
+    return { x: typeof x === 'function' ? x(state) : x, y: typeof y === 'function' ? y(state) : y };
 }
 
-function sp_initChart() {
-    if (sp_state.chart) sp_state.chart.destroy();
+function initExperimentChart(state) {
+    if (state.chart) state.chart.destroy();
     Chart.defaults.font.family = "'Inter', sans-serif";
-    sp_state.chart = new Chart(sp_state.dom.chartCanvas.getContext('2d'), {
+    const { x, y } = chartAxes(state);
+    state.chart = new Chart(state.dom.chartCanvas.getContext('2d'), {
         type: 'scatter',
         data: { datasets: [ { label: 'Data', data: [], backgroundColor: 'rgba(59, 130, 246, 0.7)', pointRadius: 6 }, { label: 'Best Fit', data: [], borderColor: 'rgb(239, 68, 68)', type: 'line', fill: false, pointRadius: 0, borderWidth: 2 } ]},
-        options: { responsive: true, maintainAspectRatio: false, scales: { x: { title: { display: true, text: 'T² (s²)' } }, y: { title: { display: true, text: 'L (m)' } } } }
+        options: { responsive: true, maintainAspectRatio: false, scales: { x: { title: { display: true, text: x.label } }, y: { title: { display: true, text: y.label } } } },
+        plugins: [errorBarsPlugin]
+    });
+    if (state.residualChart) state.residualChart.destroy();
+    if (!state.dom.residualCanvas) return;
+    state.residualChart = new Chart(state.dom.residualCanvas.getContext('2d'), {
+        type: 'scatter',
+        data: { datasets: [ { label: 'Residual', data: [], backgroundColor: POINT_COLOR, pointRadius: 5 }, { label: 'Zero', data: [], borderColor: 'rgb(239, 68, 68)', borderDash: [6, 4], type: 'line', fill: false, pointRadius: 0, borderWidth: 1 } ]},
+        options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } }, scales: { x: { title: { display: true, text: x.label } }, y: { title: { display: true, text: 'Residual' } } } }
+    });
+}
+
+// --- STOPWATCH MODE ---
+
+/**
+ * Starts a new trial: sets the apparatus in motion and clears the stopwatch.
+ * @param {object} state - The experiment state.
+ */
+function releaseForStopwatch(state) {
+    const trial = state.def.stopwatch.release(state);
+    resetStopwatch(state);
+    state.stopwatch.trial = trial;
+}
+
+/**
+ * Starts the stopwatch, or stops it and keeps the time rounded to the time least count.
+ * @param {object} state - The experiment state.
+ */
+function toggleStopwatch(state) {
+    const sw = state.stopwatch;
+    if (!sw.trial) { showNotification('Release the apparatus first.'); return; }
+    if (sw.startedAt === null) {
+        sw.startedAt = performance.now();
+        sw.elapsed = null;
+        state.dom.stopwatchButton.textContent = 'Stop';
+        const tick = (now) => {
+            showStopwatchTime(state, (now - sw.startedAt) / 1000);
+            sw.frameId = requestAnimationFrame(tick);
+        };
+        sw.frameId = requestAnimationFrame(tick);
+    } else {
+        cancelAnimationFrame(sw.frameId);
+        const resolution = leastCount(state, 'time');
+        const elapsed = (performance.now() - sw.startedAt) / 1000;
+        sw.elapsed = resolution > 0 ? Number((Math.round(elapsed / resolution) * resolution).toPrecision(12)) : elapsed;
+        sw.startedAt = null;
+        state.dom.stopwatchButton.textContent = 'Start';
+        showStopwatchTime(state, sw.elapsed);
+    }
+}
+
+function showStopwatchTime(state, seconds) {
+    const resolution = leastCount(state, 'time');
+    const decimals = resolution > 0 ? Math.max(0, Math.min(4, -Math.floor(Math.log10(resolution)))) : 2;
+    state.dom.stopwatchDisplay.textContent = `${seconds.toFixed(decimals)} s`;
+}
+
+function resetStopwatch(state) {
+    const sw = state.stopwatch;
+    cancelAnimationFrame(sw.frameId);
+    Object.assign(sw, { trial: null, startedAt: null, elapsed: null });
+    if (!state.def.stopwatch) return;
+    state.dom.stopwatchButton.textContent = 'Start';
+    document.getElementById(`${state.def.prefix}-stopwatch-instruction`).textContent = state.def.stopwatch.instruction(state);
+    showStopwatchTime(state, 0);
+}
+
+/**
+ * Builds the raw values of a reading timed with the stopwatch, then clears it for the next trial.
+ * @param {object} state - The experiment state.
+ * @returns {object|null} - The raw values, or null after a notification.
+ */
+function stopwatchReading(state) {
+    const sw = state.stopwatch;
+    if (!sw.trial || sw.elapsed === null) { showNotification('Release the apparatus, then start and stop the stopwatch.'); return null; }
+    const raw = Object.assign({}, sw.trial.raw, { [state.def.stopwatch.field]: sw.elapsed });
+    resetStopwatch(state);
+    return raw;
+}
+
+// --- RECORDED MOTION IMPORT ---
+
+const MOTION_METHOD_OPTIONS = [['crossings', 'Zero crossings'], ['spectrum', 'Spectral peak']];
+// Angle units of flywheel logs, with the rotations per unit
+const ANGLE_UNITS = { rad: ['Radians', 1 / (2 * Math.PI)], deg: ['Degrees', 1 / 360], rev: ['Rotations', 1] };
+const MOTION_PREVIEW_POINTS = 2000; // Most samples drawn in the preview chart
+
+let motionPreviewChart = null; // Chart in the import modal, replaced by each preview
+
+/**
+ * Builds the HTML for a select of the import modal.
+ * @param {string} id - The element ID.
+ * @param {string} label - The label text.
+ * @param {string[][]} options - Pairs of [value, label].
+ * @returns {string} - The select's HTML.
+ */
+function motionSelectHTML(id, label, options) {
+    return `<div><label for="${id}" class="block text-sm font-medium text-slate-700">${label}</label><select id="${id}" class="mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md text-sm shadow-sm">${options.map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}</select></div>`;
+}
+
+/**
+ * Opens the modal that imports a recorded motion CSV, previews the analysis and adds it as a reading.
+ * @param {object} state - The experiment state; its definition must declare `motionImport`.
+ */
+function openMotionImport(state) {
+    const spec = state.def.motionImport;
+    const rotation = spec.kind === 'rotation';
+    const fields = state.def.manualFields.filter(f => spec.fields.includes(f.id));
+    const fieldsHTML = fields.map(f => `<div><label for="motion-field-${f.id}" class="block text-sm font-medium text-slate-700">${f.label}</label><input type="number" id="motion-field-${f.id}" placeholder="${f.placeholder}" class="mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md text-sm shadow-sm"></div>`).join('');
+    const intro = rotation
+        ? 'Choose a CSV log of the flywheel angle against time, from the release of the mass until the wheel stops. The fall time t and the rotations n₂ are read from where the wheel speeds up and slows down.'
+        : 'Choose a CSV time series of the swing, e.g. the angle from video tracking or an acceleration from a phone. The period is found from the zero crossings of the signal or from the peak of its spectrum.';
+    const choiceHTML = rotation ? motionSelectHTML('motion-unit', 'Angle unit', Object.entries(ANGLE_UNITS).map(([key, [label]]) => [key, label])) : motionSelectHTML('motion-method', 'Period from', MOTION_METHOD_OPTIONS);
+    openModal('Import Recorded Motion', `<div class="space-y-4">
+        <p class="text-sm text-slate-600">${intro}</p>
+        <input type="file" id="motion-file" accept=".csv,.txt,text/csv,text/plain" class="block w-full text-sm">
+        <div class="grid grid-cols-2 gap-2">${motionSelectHTML('motion-time', 'Time column (s)', [])}${motionSelectHTML('motion-signal', rotation ? 'Angle column' : 'Signal column', [])}</div>
+        ${choiceHTML}
+        <div class="bg-slate-50 p-2 rounded-lg h-56"><canvas id="motion-chart"></canvas></div>
+        <p id="motion-summary" class="text-sm text-slate-700">No recording loaded.</p>
+        ${fieldsHTML}
+        <button id="motion-add-btn" class="py-2 px-4 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white">Add Reading</button>
+    </div>`);
+
+    const byId = id => document.getElementById(id);
+    let data = null, motion = null;
+    const refresh = () => {
+        const t = data.columns[byId('motion-time').value], y = data.columns[byId('motion-signal').value];
+        const result = rotation ? flywheelRotationAnalysis(t, y.map(v => v * ANGLE_UNITS[byId('motion-unit').value][1])) : oscillationAnalysis(t, y, byId('motion-method').value);
+        motion = result.error ? null : result;
+        byId('motion-summary').textContent = result.error || motionSummary(spec.kind, result);
+        drawMotionPreview(t, y, data.headers[byId('motion-signal').value], motion, rotation);
+    };
+    byId('motion-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const parsed = parseMotionCSV(reader.result);
+            if (parsed.error) { showNotification(parsed.error); return; }
+            data = parsed;
+            ['motion-time', 'motion-signal'].forEach(id => byId(id).replaceChildren(...data.headers.map((header, i) => new Option(header, i)))); // Headers come from the file, so never as HTML
+            byId('motion-signal').value = '1';
+            refresh();
+        };
+        reader.readAsText(file);
+    });
+    ['motion-time', 'motion-signal', rotation ? 'motion-unit' : 'motion-method'].forEach(id => byId(id).addEventListener('change', () => data && refresh()));
+    byId('motion-add-btn').addEventListener('click', () => {
+        if (!motion) { showNotification('Choose a recording with a clear motion first.'); return; }
+        const values = readNumberFields(fields, f => byId(`motion-field-${f.id}`));
+        const raw = values && spec.toRaw(state, values, motion);
+        if (raw && addRawReading(state, raw)) closeModal();
+    });
+}
+
+/**
+ * Describes the analysis of a recording for the import modal.
+ * @param {string} kind - The motionImport kind, 'oscillation' or 'rotation'.
+ * @param {object} motion - The result of oscillationAnalysis() or flywheelRotationAnalysis().
+ * @returns {string} - The summary text.
+ */
+function motionSummary(kind, motion) {
+    if (kind === 'rotation') {
+        return `The mass was released at ${motion.release.toFixed(2)} s and the string left the axle at ${motion.detach.toFixed(2)} s, so t = ${motion.t.toFixed(2)} s. The wheel then turned n₂ = ${motion.n2.toFixed(1)} rotations before stopping at ${motion.stop.toFixed(1)} s. During the fall it turned ${motion.n1.toFixed(1)} rotations, which should match the windings n₁.`;
+    }
+    const decay = motion.decayRate > 0 ? ` The amplitude decays as e^(-γt) with γ = ${formatWithUncertainty(motion.decayRate, motion.dDecayRate)} s⁻¹, a damping constant b = 2γ = ${(2 * motion.decayRate).toPrecision(2)} s⁻¹.` : ' The amplitude does not decay.';
+    return `Period T = ${formatWithUncertainty(motion.period, motion.dPeriod)} s from ${motion.cycles} oscillations over ${motion.duration.toFixed(2)} s.${decay}`;
+}
+
+/**
+ * Draws the imported signal in the modal's preview chart, marking the zero crossings of an oscillation or the
+ * release, detachment and stop of a flywheel.
+ * @param {number[]} t - Sample times in seconds.
+ * @param {number[]} y - The signal as recorded.
+ * @param {string} label - The signal's column header.
+ * @param {object|null} motion - The analysis, or null if it failed.
+ * @param {boolean} rotation - True for a flywheel angle log.
+ */
+function drawMotionPreview(t, y, label, motion, rotation) {
+    if (motionPreviewChart) motionPreviewChart.destroy();
+    const stride = Math.ceil(t.length / MOTION_PREVIEW_POINTS);
+    const signal = t.filter((v, i) => i % stride === 0).map((v, i) => ({ x: v, y: y[i * stride] }));
+    const valueAt = time => { const i = t.findIndex(v => v >= time); return y[i < 0 ? y.length - 1 : i]; };
+    const mean = y.reduce((acc, v) => acc + v, 0) / y.length;
+    const markers = !motion ? [] : rotation ? [motion.release, motion.detach, motion.stop].map(time => ({ x: time, y: valueAt(time) })) : motion.crossings.map(time => ({ x: time, y: mean }));
+    motionPreviewChart = new Chart(document.getElementById('motion-chart').getContext('2d'), {
+        type: 'scatter',
+        data: { datasets: [
+            { label: label, data: signal, borderColor: 'rgb(59, 130, 246)', showLine: true, fill: false, pointRadius: 0, borderWidth: 1 },
+            { label: rotation ? 'Release, string off, stop' : 'Zero crossings', data: markers, backgroundColor: SUSPECT_POINT_COLOR, pointRadius: 4 },
+        ]},
+        options: { responsive: true, maintainAspectRatio: false, animation: false, scales: { x: { title: { display: true, text: 'Time (s)' } }, y: { title: { display: true, text: label } } } },
+    });
+}
+
+// --- SESSIONS: SAVE, RESTORE, EXPORT & IMPORT ---
+
+/*
+ * A session is the experiment's setup (input values, least counts and mode) plus the raw values of its readings:
+ *   { experiment, version, mode, setup: { inputId: value }, leastCounts: { id: value }, readings: [{ field: value }] }
+ * A reading also keeps `trials` when it averages repeats and `excluded` when it is left out of the analysis.
+ * The browser copy also carries `hidden` simulation values so an unknown g survives a reload. During an
+ * assignment the session also records the `assignment` code, and a browser copy from another code is ignored.
+ * Readings are always rebuilt through the definition's derive() so calculated columns never go stale.
+ */
+
+const SESSION_VERSION = 1;
+const SESSION_STORAGE_PREFIX = 'vpl-session-';
+
+/**
+ * Collects the exportable session data of an experiment.
+ * @param {object} state - The experiment state.
+ * @returns {object} - The session object, without hidden values.
+ */
+function sessionData(state) {
+    const def = state.def;
+    const setup = {};
+    def.inputs.concat(def.commonInputs).forEach(i => setup[i.id] = inputValue(state, i.id));
+    const leastCounts = {};
+    def.leastCounts.forEach(lc => leastCounts[lc.id] = leastCount(state, lc.id));
+    const readings = state.readings.map(r => {
+        const raw = {};
+        def.fields.forEach(key => raw[key] = r[key]);
+        if (r.trials > 1) raw.trials = r.trials;
+        if (r.excluded) raw.excluded = true;
+        return raw;
+    });
+    const session = { experiment: def.id, version: SESSION_VERSION, mode: state.mode, setup, leastCounts, readings };
+    if (activeAssignment) session.assignment = activeAssignment;
+    return session;
+}
+
+function saveSession(state) {
+    const session = sessionData(state);
+    if (state.def.saveHidden) session.hidden = state.def.saveHidden(state);
+    try {
+        localStorage.setItem(SESSION_STORAGE_PREFIX + state.def.id, JSON.stringify(session));
+    } catch (e) { /* Storage can be full or disabled; the session then only lives in memory */ }
+}
+
+function loadSavedSession(experimentId) {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_PREFIX + experimentId));
+        return session && (session.assignment || null) === activeAssignment ? session : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clearSavedSession(experimentId) {
+    try {
+        localStorage.removeItem(SESSION_STORAGE_PREFIX + experimentId);
+    } catch (e) { /* Nothing to clear */ }
+}
+
+/**
+ * Replaces the experiment's setup and readings with those of a session.
+ * @param {object} state - The experiment state.
+ * @param {object} session - A session from storage or an imported file.
+ * @returns {number} - The number of readings that were rebuilt successfully.
+ */
+function applySession(state, session) {
+    const def = state.def;
+    if (def.teardown) def.teardown(state);
+    def.inputs.concat(def.commonInputs).forEach(input => {
+        let value = session.setup && session.setup[input.id];
+        if (value === undefined) return;
+        if (input.aliases && input.aliases[value]) value = input.aliases[value];
+        if (input.type === 'select' && !input.options.some(([v]) => v === String(value))) return; // Unknown option
+        setInputValue(state, input.id, value);
+    });
+    def.leastCounts.forEach(lc => {
+        const value = session.leastCounts && session.leastCounts[lc.id];
+        if (value !== undefined) document.getElementById(`${def.prefix}-lc-${lc.id}`).value = value;
+    });
+    if (def.setup) def.setup(state);
+    if (session.hidden && def.restoreHidden && !activeAssignment) def.restoreHidden(state, session.hidden);
+    setExperimentMode(state, session.mode === 'manual' || (session.mode === 'stopwatch' && def.stopwatch) ? session.mode : 'simulation');
+
+    state.readings = [];
+    (session.readings || []).forEach(raw => {
+        if (!raw || typeof raw !== 'object' || def.fields.some(key => typeof raw[key] !== 'number' || isNaN(raw[key]))) return;
+        const flags = { trials: raw.trials > 1 ? Math.round(raw.trials) : 1, excluded: raw.excluded === true || raw.excluded === 1 }; // CSV gives 1/0
+        const reading = def.derive(state, Object.assign({}, raw, flags));
+        if (reading) state.readings.push(reading);
+    });
+    sortReadings(state);
+    return state.readings.length;
+}
+
+/**
+ * Writes a session as CSV: "# key,value" lines for the setup, then a header row and one row per reading.
+ * @param {object} state - The experiment state.
+ * @returns {string} - The CSV text.
+ */
+function sessionToCSV(state) {
+    const session = sessionData(state);
+    const lines = ['# Virtual Physics Laboratory session', `# experiment,${session.experiment}`, `# version,${session.version}`, `# mode,${session.mode}`];
+    if (session.assignment) lines.push(`# assignment,${session.assignment}`);
+    Object.entries(session.setup).forEach(([key, value]) => lines.push(`# setup.${key},${value}`));
+    Object.entries(session.leastCounts).forEach(([key, value]) => lines.push(`# leastCount.${key},${value}`));
+    // Calculated columns are included for convenience and ignored on import
+    const flags = ['trials', 'excluded'];
+    const keys = ['sno'].concat(state.def.fields, flags, Object.keys(state.readings[0] || {}).filter(k => k !== 'sno' && !state.def.fields.includes(k) && !flags.includes(k)));
+    lines.push(keys.join(','));
+    state.readings.forEach(r => lines.push(keys.map(k => (k === 'trials' ? r.trials || 1 : k === 'excluded' ? Number(Boolean(r.excluded)) : r[k])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses CSV text written by sessionToCSV (or edited in a spreadsheet) back into a session object.
+ * @param {string} text - The CSV text.
+ * @returns {object} - The session object.
+ */
+function sessionFromCSV(text) {
+    const session = { setup: {}, leastCounts: {}, readings: [] };
+    let header = null;
+    text.split(/\r?\n/).forEach(line => {
+        const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+        if (line.trim() === '') return;
+        if (cells[0].startsWith('#')) {
+            const key = cells[0].replace(/^#\s*/, '');
+            const value = cells[1] === undefined ? '' : cells[1];
+            const numeric = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+            if (key.startsWith('setup.')) session.setup[key.slice(6)] = value; // Kept as text; selects compare strings
+            else if (key.startsWith('leastCount.')) session.leastCounts[key.slice(11)] = numeric;
+            else if (key) session[key] = numeric;
+        } else if (!header) {
+            header = cells;
+        } else {
+            const row = {};
+            header.forEach((key, i) => row[key] = parseFloat(cells[i]));
+            session.readings.push(row);
+        }
+    });
+    return session;
+}
+
+function importSessionFile(state, file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let session;
+        try {
+            session = file.name.toLowerCase().endsWith('.json') ? JSON.parse(reader.result) : sessionFromCSV(reader.result);
+        } catch (e) {
+            session = null;
+        }
+        // JSON.parse also accepts null, numbers and arrays, which are no sessions
+        if (!session || typeof session !== 'object' || Array.isArray(session) || !Array.isArray(session.readings)) {
+            showNotification('Could not read the file.'); return;
+        }
+        if (session.experiment !== state.def.id) {
+            const other = EXPERIMENTS[session.experiment];
+            showNotification(other ? `This file belongs to the ${other.title} experiment.` : 'This file is not a session of this experiment.'); return;
+        }
+        const total = session.readings.length;
+        const imported = applySession(state, session);
+        updateExperimentUI(state);
+        if (imported < total) showNotification(`Imported ${imported} of ${total} readings; the rest were invalid.`);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Offers text content to the user as a file download.
+ * @param {string} filename - The suggested file name.
+ * @param {string} type - The MIME type.
+ * @param {string} content - The file content.
+ */
+function downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- ROUTES & SHARE LINKS ---
+
+/*
+ * The URL hash holds the route, so the browser's Back and Forward buttons, reloads and links work without a server:
+ *   #/                     - The main menu.
+ *   #/<id>                 - An experiment by its definition id, e.g. #/flywheel, with the session saved in the browser.
+ *   #/<id>?<setup>         - A shared link. The experiment starts afresh from its defaults, then takes `mode`, input
+ *                            values by input id, least counts as `lc.<id>` and optionally `readings`, the raw readings
+ *                            of a session as base64url-encoded JSON, e.g. #/flywheel?mode=manual&model=A&lc.time=0.001.
+ * Once applied the setup is dropped from the URL, so a reload keeps the student's own work. Like exported files, a
+ * link never carries hidden values: whoever opens it draws their own unknowns.
+ */
+
+let shownRoute = null; // Id of the experiment on screen, '' for the main menu
+
+/**
+ * Records a route in the browser history unless the URL already shows it.
+ * @param {string} hash - The route, e.g. '#/flywheel'.
+ */
+function pushRoute(hash) {
+    if ((location.hash || '#/') !== hash) history.pushState(null, '', hash);
+}
+
+/**
+ * Shows the view of the route in the URL hash; called on startup and whenever the hash changes.
+ */
+function handleRoute() {
+    const match = location.hash.match(/^#\/([^?]*)(?:\?(.*))?$/);
+    const id = match ? decodeURIComponent(match[1]) : '';
+    const params = new URLSearchParams(match && match[2] || '');
+    if (!EXPERIMENTS[id]) {
+        if (location.hash && location.hash !== '#/') history.replaceState(null, '', '#/'); // Unknown route
+        if (shownRoute !== '') showMainMenu();
+        return;
+    }
+    const shared = Array.from(params.keys()).length > 0;
+    if (shared) history.replaceState(null, '', `#/${id}`);
+    if (id !== shownRoute) showExperiment(id);
+    if (shared) openSharedSetup(experimentStates[id], params);
+}
+
+/**
+ * Starts an experiment afresh with the setup of a shared link, after the student agrees to lose their readings.
+ * @param {object} state - The experiment state.
+ * @param {URLSearchParams} params - The query of the link.
+ */
+function openSharedSetup(state, params) {
+    const def = state.def;
+    const session = { mode: params.get('mode') || 'simulation', setup: {}, leastCounts: {}, readings: [] };
+    def.inputs.concat(def.commonInputs).forEach(input => { if (params.has(input.id)) session.setup[input.id] = params.get(input.id); });
+    def.leastCounts.forEach(lc => { if (params.has(`lc.${lc.id}`)) session.leastCounts[lc.id] = parseFloat(params.get(`lc.${lc.id}`)); });
+    if (params.has('readings')) {
+        try {
+            session.readings = JSON.parse(decodeBase64Url(params.get('readings')));
+            if (!Array.isArray(session.readings)) throw new Error('Not a list of readings');
+        } catch (e) {
+            showNotification('The readings in this link could not be read.'); return;
+        }
+    }
+    if (state.readings.length > 0 && !confirm('This link sets up the experiment afresh and replaces the readings of your session. Continue?')) return;
+    clearSavedSession(def.id);
+    initExperiment(def.id);
+    const fresh = experimentStates[def.id];
+    const total = session.readings.length;
+    const imported = applySession(fresh, session);
+    updateExperimentUI(fresh);
+    if (imported < total) showNotification(`Imported ${imported} of ${total} readings; the rest were invalid.`);
+}
+
+/**
+ * Builds a link that opens the experiment with its current setup. Only settings that differ from the defaults
+ * are written, which keeps links short.
+ * @param {object} state - The experiment state.
+ * @param {boolean} withReadings - True to include the readings.
+ * @returns {string} - The full URL.
+ */
+function shareLink(state, withReadings) {
+    const def = state.def;
+    const params = new URLSearchParams();
+    if (state.mode !== 'simulation') params.set('mode', state.mode);
+    def.inputs.concat(def.commonInputs).forEach(input => {
+        const initial = input.type === 'select' ? input.value || input.options[0][0] : input.value;
+        const value = inputValue(state, input.id);
+        if (value !== initial) params.set(input.id, value);
+    });
+    def.leastCounts.forEach(lc => {
+        const value = leastCount(state, lc.id);
+        if (value !== lc.value) params.set(`lc.${lc.id}`, value);
+    });
+    const readings = sessionData(state).readings;
+    if (withReadings && readings.length > 0) params.set('readings', encodeBase64Url(JSON.stringify(readings)));
+    const query = params.toString();
+    return `${location.href.split('#')[0]}#/${def.id}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Opens the modal with the experiment's share link and a button to copy it.
+ * @param {object} state - The experiment state.
+ */
+function openShareLink(state) {
+    const count = state.readings.length;
+    openModal('Share Link', `<div class="space-y-4">
+        <p>This link opens the ${state.def.title} experiment with its current mode, settings and least counts. Hidden values such as an unknown g are not part of it, so everyone who opens the link gets their own.</p>
+        <label class="flex items-center gap-2 text-sm text-slate-700"><input type="checkbox" id="share-readings"${count > 0 ? ' checked' : ' disabled'}> Include the ${count} reading${count === 1 ? '' : 's'}</label>
+        <textarea id="share-link" readonly rows="4" class="block w-full px-3 py-2 bg-slate-50 border border-slate-300 rounded-md font-mono text-xs"></textarea>
+        <button id="share-copy-btn" class="py-2 px-4 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white">Copy Link</button>
+    </div>`);
+    const linkField = document.getElementById('share-link');
+    const readingsBox = document.getElementById('share-readings');
+    const copyButton = document.getElementById('share-copy-btn');
+    const update = () => { linkField.value = shareLink(state, readingsBox.checked); copyButton.textContent = 'Copy Link'; };
+    readingsBox.addEventListener('change', update);
+    copyButton.addEventListener('click', () => {
+        linkField.select();
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(linkField.value) : Promise.resolve(document.execCommand('copy'));
+        copied.then(() => copyButton.textContent = 'Copied', () => showNotification('Copy the selected link by hand.'));
+    });
+    update();
+}
+
+/**
+ * Encodes ASCII text as base64url, the URL-safe base64 alphabet without padding.
+ * @param {string} text - The text.
+ * @returns {string} - The encoded text.
+ */
+function encodeBase64Url(text) {
+    return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    return atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+// --- LAB REPORTS ---
+
+// Styles for the standalone report page, including the few Tailwind classes the theory snippets use
+const REPORT_STYLES = `
+    body { font-family: 'Inter', Arial, sans-serif; color: #1e293b; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; border-bottom: 1px solid #cbd5e1; padding-bottom: 0.25rem; margin-top: 1.75rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #cbd5e1; padding: 0.3rem 0.5rem; text-align: left; }
+    th { background: #f1f5f9; }
+    img { max-width: 100%; border: 1px solid #e2e8f0; }
+    .font-mono { font-family: 'Courier New', monospace; background: #f1f5f9; padding: 0.75rem; text-align: center; border-radius: 0.5rem; }
+    .font-bold { font-weight: 700; }
+    .meta { color: #64748b; }
+    .result { font-size: 1.1rem; font-weight: 700; color: #1d4ed8; }
+    .no-print { margin-top: 2rem; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * Describes the experiment's current settings as label/value pairs, using option labels for selects.
+ * @param {object} state - The experiment state.
+ * @returns {string[][]} - Pairs of [label, value].
+ */
+function apparatusSettings(state) {
+    const def = state.def;
+    const settings = [['Mode', MODE_LABELS[state.mode]]];
+    const inputs = state.mode === 'manual' ? def.commonInputs : def.inputs.filter(i => state.mode === 'simulation' || !i.group).concat(def.commonInputs);
+    inputs.filter(input => !input.visible || input.visible(state)).forEach(input => {
+        const el = state.dom.inputs[input.id];
+        const unit = input.unit === '°' ? '°' : ` ${input.unit || ''}`;
+        const value = input.type === 'select' ? el.options[el.selectedIndex].text : `${parseFloat(el.value).toFixed(input.decimals || 0)}${unit}`;
+        settings.push([input.label, value.trim()]);
+    });
+    def.leastCounts.forEach(lc => settings.push([`${lc.label} least count`, `${leastCount(state, lc.id)} ${lc.unit}`]));
+    if (activeAssignment) settings.push(['Assignment code', activeAssignment]);
+    return settings;
+}
+
+/**
+ * Opens a printable lab report of the experiment in a new window.
+ * @param {object} state - The experiment state.
+ */
+function generateReport(state) {
+    const def = state.def;
+    const analysis = def.analyze(state);
+    if (analysis.message) { showNotification(analysis.message); return; }
+    const win = window.open('', '_blank');
+    if (!win) { showNotification('Allow pop-ups to open the report.'); return; }
+
+    const { result } = analysis;
+    const check = residualCheck(state);
+    const remarks = state.readings.map(r => {
+        const point = check && check.points.find(p => p.reading === r);
+        return [r.excluded ? 'Excluded' : '', r.trials > 1 ? `Mean of ${r.trials} trials` : '', point && point.suspect ? `Possible outlier (${point.z.toFixed(1)}σ)` : ''].filter(Boolean).join('; ');
+    });
+    const remarkColumn = remarks.some(Boolean);
+    const table = `<table><thead><tr>${def.columns.map(c => `<th>${c.label}</th>`).join('')}${remarkColumn ? '<th>Remarks</th>' : ''}</tr></thead><tbody>${state.readings.map((r, i) => `<tr>${def.columns.map(c => `<td>${c.value(r)}</td>`).join('')}${remarkColumn ? `<td>${remarks[i]}</td>` : ''}</tr>`).join('')}</tbody></table>`;
+    const axes = state.chart && chartAxes(state);
+    let graph = state.chart ? `<h2>Graph</h2><img src="${state.chart.toBase64Image()}" alt="Graph of ${axes.y.label} against ${axes.x.label}">` : '';
+    if (state.residualChart) graph += `<h2>Residuals</h2><img src="${state.residualChart.toBase64Image()}" alt="Residuals about the best-fit line">`;
+    let resultHTML = `<p class="result">${result.label} = ${result.error === null ? result.value.toPrecision(4) : formatWithUncertainty(result.value, result.error)} ${result.unit}</p>`;
+    if (result.trueValue !== null) {
+        const percentError = Math.abs(result.value - result.trueValue) / Math.abs(result.trueValue) * 100;
+        resultHTML += `<p>True value: ${result.trueValue.toPrecision(4)} ${result.unit}</p><p>Percentage error: |${result.value.toPrecision(4)} - ${result.trueValue.toPrecision(4)}| / ${result.trueValue.toPrecision(4)} × 100 = <b>${percentError.toFixed(2)}%</b></p>`;
+    }
+
+    win.document.open();
+    win.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${def.title} - Lab Report</title><style>${REPORT_STYLES}</style></head>
+<body>
+    <h1>${def.heading}</h1>
+    <p class="meta">Virtual Physics Laboratory · Report generated ${new Date().toLocaleString()}</p>
+    <h2>Aim</h2><p>${def.aim}</p>
+    <h2>Theory</h2>${def.theory}
+    <h2>Apparatus Settings</h2><table><tbody>${apparatusSettings(state).map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</tbody></table>
+    <h2>Observation Table</h2>${table}${state.readings.some(r => r.excluded) ? '<p class="meta">Excluded readings are left out of the graph and calculations.</p>' : ''}
+    ${graph}
+    <h2>Calculations</h2><ol>${analysis.steps.map(step => `<li>${step}</li>`).join('')}</ol>
+    <h2>Result</h2>${resultHTML}
+    <h2>Precautions</h2><ol>${def.precautions.map(p => `<li>${p}</li>`).join('')}</ol>
+    <div class="no-print"><button onclick="window.print()">Print Report</button></div>
+</body>
+</html>`);
+    win.document.close();
+    win.focus();
+}
+
+// --- ASSIGNMENTS ---
+
+/*
+ * An assignment code fixes an experiment's hidden "unknown" values and its measurement noise, so each student
+ * gets their own reproducible unknowns and an instructor can recompute them to check answers. Everything runs
+ * in the browser: an instructor derives each student's code from a private secret and the student's name,
+ * and checking an answer simply re-derives the hidden values from that code.
+ */
+
+const ASSIGNMENT_STORAGE_KEY = 'vpl-assignment';
+const ASSIGNMENT_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base 32, without I, L, O and U
+let activeAssignment = null; // The code of the running assignment, or null
+
+/**
+ * Gives the random number source for one use within an experiment. Each stream (e.g. 'unknowns' or 'noise')
+ * gets its own generator, so drawing noise never shifts the unknown values.
+ * @param {string} experimentId - The experiment's id.
+ * @param {string} stream - Name of the stream.
+ * @param {string|null} [code=activeAssignment] - The assignment code; Math.random is used without one.
+ * @returns {function} - A function returning numbers in [0, 1).
+ */
+function assignmentRandom(experimentId, stream, code = activeAssignment) {
+    return code ? mulberry32(hashString(`${code}|${experimentId}|${stream}`)) : Math.random;
+}
+
+/**
+ * Draws the hidden values of an experiment's "unknown" choice, fixed by the assignment code if one is running.
+ * @param {object} def - The experiment definition.
+ * @param {string|null} [code=activeAssignment] - The assignment code.
+ * @returns {object} - The values returned by the definition's unknowns() hook.
+ */
+function experimentUnknowns(def, code = activeAssignment) {
+    return def.unknowns(assignmentRandom(def.id, 'unknowns', code));
+}
+
+/**
+ * Derives a student's assignment code from the instructor's secret and the student's name.
+ * @param {string} secret - The instructor's secret.
+ * @param {string} name - The student's name; case and extra spaces are ignored.
+ * @returns {string} - The code, e.g. "7KQ2-M9XD".
+ */
+function assignmentCode(secret, name) {
+    const key = `${secret}|${name.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+    const bits = hashString(key, 1).toString(2).padStart(32, '0') + hashString(key, 2).toString(2).padStart(32, '0');
+    let code = '';
+    for (let i = 0; i < 8; i++) code += ASSIGNMENT_CODE_ALPHABET[parseInt(bits.substr(i * 5, 5), 2)];
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * Puts a typed code into the standard "XXXX-XXXX" form.
+ * @param {string} text - The code as typed.
+ * @returns {string|null} - The normalized code, or null if it is not a valid code.
+ */
+function normalizeAssignmentCode(text) {
+    const chars = text.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+    if (chars.length !== 8 || [...chars].some(c => !ASSIGNMENT_CODE_ALPHABET.includes(c))) return null;
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Starts or leaves an assignment. Experiments pick up the new unknowns the next time they are opened.
+ * @param {string|null} code - A normalized code, or null to leave the assignment.
+ */
+function setAssignment(code) {
+    activeAssignment = code;
+    try {
+        if (code) localStorage.setItem(ASSIGNMENT_STORAGE_KEY, code);
+        else localStorage.removeItem(ASSIGNMENT_STORAGE_KEY);
+    } catch (e) { /* Storage can be full or disabled; the assignment then lasts until the page closes */ }
+    renderAssignmentPanel();
+}
+
+function loadAssignment() {
+    try {
+        activeAssignment = normalizeAssignmentCode(localStorage.getItem(ASSIGNMENT_STORAGE_KEY) || '');
+    } catch (e) {
+        activeAssignment = null;
+    }
+}
+
+function renderAssignmentPanel() {
+    const panel = document.getElementById('assignment-panel');
+    const buttonClass = 'py-2 px-4 rounded-lg font-semibold';
+    if (activeAssignment) {
+        panel.innerHTML = `<div class="flex flex-wrap items-center justify-between gap-4"><div><h2 class="text-xl font-semibold text-slate-800">Assignment <span class="font-mono text-blue-600">${activeAssignment}</span></h2><p class="text-slate-500 mt-1">The unknown values and measurement noise of every experiment follow this code. Quote it when you submit your results.</p></div><button id="assignment-leave-btn" class="${buttonClass} bg-slate-500 hover:bg-slate-600 text-white">Leave Assignment</button></div>`;
+        document.getElementById('assignment-leave-btn').addEventListener('click', () => setAssignment(null));
+        return;
+    }
+    panel.innerHTML = `<h2 class="text-xl font-semibold text-slate-800">Assignment</h2><p class="text-slate-500 mt-1">Enter the code from your instructor to get your own unknown values.</p><div class="flex flex-wrap gap-3 mt-4"><input type="text" id="assignment-code" placeholder="e.g., 7KQ2-M9XD" class="px-3 py-2 bg-white border border-slate-300 rounded-md shadow-sm font-mono uppercase"><button id="assignment-start-btn" class="${buttonClass} bg-blue-600 hover:bg-blue-700 text-white">Start Assignment</button><button id="assignment-instructor-btn" class="${buttonClass} bg-slate-200 hover:bg-slate-300 text-slate-800">Instructor Tools</button></div>`;
+    document.getElementById('assignment-start-btn').addEventListener('click', () => {
+        const code = normalizeAssignmentCode(document.getElementById('assignment-code').value);
+        if (!code) { showNotification('That is not a valid assignment code.'); return; }
+        setAssignment(code);
+    });
+    document.getElementById('assignment-instructor-btn').addEventListener('click', openInstructorTools);
+}
+
+/**
+ * Opens the instructor tools in the modal: generating codes for a class and checking a submitted value.
+ */
+function openInstructorTools() {
+    const field = 'mt-1 block w-full px-3 py-2 bg-white border border-slate-300 rounded-md shadow-sm';
+    const label = 'block text-sm font-medium text-slate-700 mt-3';
+    const experiments = Object.values(EXPERIMENTS).filter(def => def.answers).sort((a, b) => a.number - b.number);
+    openModal('Instructor Tools', `
+        <div class="space-y-6">
+            <p>Codes are derived from your secret and each student's name, so the same secret always gives the same codes. Keep the secret private; nothing is sent anywhere.</p>
+            <div><label for="instructor-secret" class="${label}">Instructor secret</label><input type="password" id="instructor-secret" class="${field}"></div>
+            <div>
+                <h3 class="text-lg font-semibold border-b pb-1">Generate Codes</h3>
+                <label for="instructor-names" class="${label}">Student names, one per line</label><textarea id="instructor-names" rows="4" class="${field}"></textarea>
+                <div class="flex gap-3 mt-3"><button id="instructor-generate-btn" class="py-2 px-4 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white">Generate</button><button id="instructor-download-btn" class="py-2 px-4 rounded-lg font-semibold bg-slate-200 hover:bg-slate-300 text-slate-800">Download CSV</button></div>
+                <div id="instructor-codes" class="mt-3"></div>
+            </div>
+            <div>
+                <h3 class="text-lg font-semibold border-b pb-1">Check an Answer</h3>
+                <label for="instructor-student" class="${label}">Student name</label><input type="text" id="instructor-student" class="${field}">
+                <label for="instructor-quantity" class="${label}">Quantity</label><select id="instructor-quantity" class="${field}">${experiments.map(def => def.answers.map(a => `<option value="${def.id}|${a.key}">${def.title}: ${a.label} (${a.unit})</option>`).join('')).join('')}</select>
+                <div class="grid grid-cols-2 gap-3"><div><label for="instructor-value" class="${label}">Submitted value</label><input type="number" id="instructor-value" step="any" class="${field}"></div><div><label for="instructor-tolerance" class="${label}">Tolerance (%)</label><input type="number" id="instructor-tolerance" value="5" min="0" step="any" class="${field}"></div></div>
+                <button id="instructor-check-btn" class="mt-3 py-2 px-4 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white">Check</button>
+                <div id="instructor-check-result" class="mt-3"></div>
+            </div>
+        </div>`);
+    document.getElementById('instructor-generate-btn').addEventListener('click', () => {
+        const codes = instructorCodes();
+        if (!codes) return;
+        const container = document.getElementById('instructor-codes');
+        container.innerHTML = '<table class="w-full text-sm"><thead><tr><th class="text-left">Student</th><th class="text-left">Code</th></tr></thead><tbody></tbody></table>';
+        const body = container.querySelector('tbody');
+        codes.forEach(([name, code]) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = name; // Names are pasted in, so never parse them as HTML
+            const codeCell = row.insertCell();
+            codeCell.className = 'font-mono';
+            codeCell.textContent = code;
+        });
+    });
+    document.getElementById('instructor-download-btn').addEventListener('click', () => {
+        const codes = instructorCodes();
+        if (codes) downloadFile('assignment-codes.csv', 'text/csv', ['name,code'].concat(codes.map(([name, code]) => `"${name.replace(/"/g, '""')}",${code}`)).join('\n') + '\n');
     });
+    document.getElementById('instructor-check-btn').addEventListener('click', () => {
+        const html = instructorCheck();
+        if (html) document.getElementById('instructor-check-result').innerHTML = html;
+    });
+}
+
+/**
+ * Reads the instructor secret and names and derives each student's code.
+ * @returns {string[][]|null} - Pairs of [name, code], or null after a notification.
+ */
+function instructorCodes() {
+    const secret = document.getElementById('instructor-secret').value;
+    const names = document.getElementById('instructor-names').value.split('\n').map(n => n.trim()).filter(n => n);
+    if (!secret) { showNotification('Enter your instructor secret.'); return null; }
+    if (names.length === 0) { showNotification('Enter at least one student name.'); return null; }
+    return names.map(name => [name, assignmentCode(secret, name)]);
+}
+
+/**
+ * Recomputes the hidden value for the chosen student and quantity and compares the submitted value with it.
+ * The code is always derived from the secret, so a student who knows only their own code cannot read the value.
+ * @returns {string|null} - HTML describing the verdict, or null after a notification.
+ */
+function instructorCheck() {
+    const secret = document.getElementById('instructor-secret').value;
+    const student = document.getElementById('instructor-student').value.trim();
+    const submitted = parseFloat(document.getElementById('instructor-value').value);
+    const tolerance = parseFloat(document.getElementById('instructor-tolerance').value);
+    if (!secret) { showNotification('Enter your instructor secret.'); return null; }
+    if (!student) { showNotification("Enter the student's name."); return null; }
+    const code = assignmentCode(secret, student);
+    if (isNaN(submitted) || isNaN(tolerance) || tolerance < 0) { showNotification('Enter the submitted value and a tolerance.'); return null; }
+    const [experimentId, key] = document.getElementById('instructor-quantity').value.split('|');
+    const def = EXPERIMENTS[experimentId];
+    const answer = def.answers.find(a => a.key === key);
+    const trueValue = experimentUnknowns(def, code)[key] * (answer.scale || 1);
+    const deviation = Math.abs(submitted - trueValue) / Math.abs(trueValue) * 100;
+    const accepted = deviation <= tolerance;
+    return `<p>Code <span class="font-mono">${code}</span>: true ${answer.label} = <b>${trueValue.toPrecision(4)} ${answer.unit}</b> (unknown choice).</p>
+        <p>Submitted ${submitted} ${answer.unit} is ${deviation.toFixed(2)}% off: <b class="${accepted ? 'text-green-600' : 'text-red-600'}">${accepted ? 'within' : 'outside'} the ${tolerance}% tolerance</b>.</p>`;
 }
 
-function sp_updatePendulumAnimation() {
-    const D = sp_state.dom;
-    const L = parseFloat(D.lengthSlider.value);
-    if (sp_state.gravity <= 0) return;
+// --- EXPERIMENT 1: SIMPLE PENDULUM ---
+
+const simplePendulumTheory = `
+    <div class="space-y-4">
+        <p>A simple pendulum consists of a point mass (bob) suspended from a fixed support by a light, inextensible string. When displaced, it oscillates under the influence of gravity.</p>
+        <p>The period of oscillation (T), the time for one complete swing, is given by:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">T = 2π * √(L/g)</div>
+        <p>Where: <b>T</b> is the period, <b>L</b> is the length, and <b>g</b> is the acceleration due to gravity.</p>
+        <p>To find 'g', we rearrange the formula to <b>T² = (4π²/g) * L</b>. This is a linear equation (y = mx). By plotting L vs. T², the slope of the line is <b>g / 4π²</b>.</p>
+        <p>Therefore, 'g' can be calculated from the slope:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono font-bold text-blue-600">g = 4π² * Slope</div>
+        <p>The formula above only holds for small swings. The simulation solves the full equation of motion, including air damping (b):</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">θ'' = -(g/L) * sin θ - b * θ'</div>
+        <p>At a release amplitude θ₀ (in radians) the period grows beyond the small-angle value T₀. To a good approximation:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">T ≈ T₀ * (1 + θ₀²/16)</div>
+        <p>Dividing each measured period by this factor before plotting removes the amplitude error from 'g'. Damping makes the swing die out but barely changes the period.</p>
+        <p><b>Uncertainty.</b> A length least count δL and a stopwatch least count δt give each point error bars of δL and δ(T²) = 2T * δt/n. The scatter of the points about the line gives the standard error of the slope, δm. The two contributions to 'g' are combined in quadrature:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">δg = √[ (4π² * δm)² + g² * ((δL/L)² + (2δt/t)²) ]</div>
+        <p>where L and t are the mean length and mean time of the readings.</p>
+        <p><b>Where you swing it.</b> On the Earth, g grows from 9.780 m/s² at the equator to 9.832 m/s² at the poles and falls by about 0.003 m/s² per kilometre of altitude. Choose "Earth (by location)" to swing the pendulum at a given latitude and altitude, and compare the difference with δg to see whether your readings could tell two places apart.</p>
+    </div>
+`;
+
+const SP_SWING_STEP = 0.002; // Integration step (s) for the live animation
+
+function sp_setSimulationGravity(state) {
+    state.gravity = environmentGravity(state);
+    sp_updatePendulumAnimation(state);
+}
+
+function sp_release(state) {
+    const L = inputValue(state, 'length');
+    const theta0 = inputValue(state, 'amplitude');
+    const n = inputValue(state, 'oscillations');
+    const t_simulated = pendulumOscillationTime({ g: state.gravity, L: L, b: inputValue(state, 'damping') }, theta0 * Math.PI / 180, n);
+    if (t_simulated === null) { showNotification('The swing died out before n oscillations. Reduce damping or n.'); return null; }
+    sp_releasePendulum(state);
+    return { raw: { L: L, theta0: theta0, n: n }, time: t_simulated };
+}
+
+function sp_simulate(state) {
+    const trial = sp_release(state);
+    return trial && Object.assign(trial.raw, { t: measureTime(state, trial.time) });
+}
+
+function sp_fromManual(state, values) {
+    const theta0 = values.amplitude || 0; // Blank means a small swing
+    if (theta0 >= 90) { showNotification('Amplitude must be between 0° and 90°.'); return null; }
+    return { L: values.length, theta0: theta0, n: inputValue(state, 'oscillations'), t: values.time };
+}
+
+function sp_fromMotion(state, values, motion) {
+    const raw = sp_fromManual(state, Object.assign({ time: motion.cycles * motion.period }, values));
+    return raw && Object.assign(raw, { n: motion.cycles });
+}
+
+function sp_derive(state, raw) {
+    return derivePendulumReading(raw);
+}
+
+function sp_analyze(state) {
+    const readings = includedReadings(state);
+    if (readings.length < 2) return { message: 'Add at least two readings.' };
+    const analysis = analyzePendulum(readings, { length: leastCount(state, 'length'), time: leastCount(state, 'time') });
+    const { slope, r2, slopeErr } = analysis.fit;
+    const { g: g_exp, dg, meanL, meanT } = analysis;
+    const { g: g_corrected, dg: dgCorrected } = analysis.corrected;
+    const lines = [{ label: 'Graph Slope', value: readings.length > 2 ? formatWithUncertainty(slope, slopeErr) : slope.toFixed(4) }];
+    const knownG = knownGravity(state);
+    if (knownG) lines.push({ label: 'True g', value: `${knownG.toFixed(3)} m/s²` });
+    lines.push({ label: 'Calculated g', value: `${formatWithUncertainty(g_exp, dg.total)} m/s²`, style: 'main' });
+    lines.push({ label: 'δg from fit / least counts', value: readings.length > 2 ? `${dg.fit.toFixed(3)} / ${dg.instrument.toFixed(3)} m/s²` : `needs 3 readings / ${dg.instrument.toFixed(3)} m/s²`, style: 'small' });
+    lines.push({ label: 'g (amplitude corrected)', value: `${formatWithUncertainty(g_corrected, dgCorrected.total)} m/s²` });
+    if (knownG) {
+        const longest = readings.reduce((a, b) => (b.L > a.L ? b : a));
+        const longestT0 = 2 * Math.PI * Math.sqrt(longest.L / state.gravity);
+        lines.push({ label: `T at longest L = ${longest.L.toFixed(2)} m`, value: `${longest.T.toFixed(3)} s measured, ${(longestT0 * amplitudeFactor(longest.theta0)).toFixed(3)} s from T₀(1 + θ₀²/16)`, style: 'small' });
+    }
+    lines.push({ label: 'Correlation (R²)', value: r2.toFixed(4), style: 'muted' });
+
+    const steps = [
+        `Period of each reading: T = t / n, then T² (see the observation table).`,
+        `Least-squares fit of L against T² for ${readings.length} readings: slope m = ${slope.toFixed(5)} m/s², R² = ${r2.toFixed(4)}` + (readings.length > 2 ? `, standard error δm = ${slopeErr.toExponential(2)} m/s².` : '.'),
+        `g = 4π² × m = 39.478 × ${slope.toFixed(5)} = <b>${g_exp.toFixed(3)} m/s²</b>.`,
+        `Fit contribution: 4π² × δm = ${dg.fit.toFixed(3)} m/s².`,
+        `Least-count contribution: g × √[(δL/L)² + (2δt/t)²] = ${g_exp.toFixed(3)} × √[(${leastCount(state, 'length')}/${meanL.toFixed(3)})² + (2 × ${leastCount(state, 'time')}/${meanT.toFixed(2)})²] = ${dg.instrument.toFixed(3)} m/s².`,
+        `Combined uncertainty: δg = √(${dg.fit.toFixed(3)}² + ${dg.instrument.toFixed(3)}²) = <b>${dg.total.toFixed(3)} m/s²</b>.`,
+        `Finite-amplitude check: dividing each T by (1 + θ₀²/16) and refitting gives g = ${formatWithUncertainty(g_corrected, dgCorrected.total)} m/s².`,
+    ];
+    const result = { label: 'g', value: g_exp, error: dg.total, unit: 'm/s²', trueValue: knownG };
+    return { lines, steps, result };
+}
+
+function sp_updatePendulumAnimation(state) {
+    const D = state.dom;
+    const L = inputValue(state, 'length');
+    if (state.gravity <= 0) return;
     const rodHeight = 100 + (L - 0.5) * (150 / 2.0);
     D.pendulumRod.style.height = `${rodHeight}px`;
-    D.pendulumRod.style.animationDuration = `${2 * Math.PI * Math.sqrt(L / sp_state.gravity)}s`;
+    // Hold the bob at the release angle until the next reading lets it go
+    cancelAnimationFrame(state.swing.frameId);
+    state.swing.theta = inputValue(state, 'amplitude') * Math.PI / 180;
+    state.swing.omega = 0;
+    sp_drawPendulum(state);
 }
-function sp_playPendulumAnimation() {
-    const D = sp_state.dom;
-    D.pendulumRod.style.animation = 'none';
-    void D.pendulumRod.offsetHeight; // Trigger reflow
-    const period = parseFloat(D.pendulumRod.style.animationDuration) || 2;
-    D.pendulumRod.style.animation = `sp_swing ${period}s ease-in-out 0s 2`;
+
+function sp_drawPendulum(state) {
+    state.dom.pendulumRod.style.transform = `rotate(${state.swing.theta * 180 / Math.PI}deg)`;
+}
+
+function sp_releasePendulum(state) {
+    const params = { g: state.gravity, L: inputValue(state, 'length'), b: inputValue(state, 'damping') };
+    animateSwing(state.swing, params, inputValue(state, 'amplitude') * Math.PI / 180, () => sp_drawPendulum(state));
+}
+
+/**
+ * Releases a swing from rest and integrates it in real time, calling draw() every frame until it dies out.
+ * Also drives the bar pendulum, which swings like a simple pendulum of its equivalent length.
+ * @param {object} swing - Animation state { theta, omega, frameId, lastTime }, updated in place.
+ * @param {object} params - The pendulum's g, L and b.
+ * @param {number} theta0 - Release amplitude in radians.
+ * @param {function} draw - Redraws the apparatus from swing.theta.
+ */
+function animateSwing(swing, params, theta0, draw) {
+    cancelAnimationFrame(swing.frameId);
+    swing.theta = theta0;
+    swing.omega = 0;
+    swing.lastTime = performance.now();
+    const frame = (now) => {
+        const elapsed = Math.min((now - swing.lastTime) / 1000, 0.05); // Don't jump ahead after a hidden tab
+        swing.lastTime = now;
+        const steps = Math.ceil(elapsed / SP_SWING_STEP);
+        for (let i = 0; i < steps; i++) Object.assign(swing, pendulumRk4Step(swing, elapsed / steps, params));
+        draw();
+        // Energy gives the current amplitude; stop once the swing has died out
+        const cosMax = Math.cos(swing.theta) - swing.omega * swing.omega * params.L / (2 * params.g);
+        if (Math.acos(Math.max(-1, Math.min(1, cosMax))) < PENDULUM_REST_ANGLE / 5) { swing.theta = swing.omega = 0; draw(); return; }
+        swing.frameId = requestAnimationFrame(frame);
+    };
+    swing.frameId = requestAnimationFrame(frame);
 }
 
+registerExperiment({
+    id: 'simple-pendulum',
+    prefix: 'sp',
+    number: 1,
+    title: 'Simple Pendulum',
+    summary: 'Determine the acceleration due to gravity (g).',
+    heading: 'Simple Pendulum Experiment',
+    subtitle: "Determine the value of 'g'",
+    aim: "To determine the acceleration due to gravity (g) by measuring the period of a simple pendulum for several lengths and plotting L against T².",
+    precautions: [
+        'Keep the amplitude small (a few degrees) so the small-angle formula holds, or correct for it.',
+        'Measure the length from the point of suspension to the centre of the bob.',
+        'Start and stop the stopwatch as the bob passes the mean position.',
+        'Time a large number of oscillations to reduce the effect of reaction time.',
+        'Make sure the bob swings in a plane and does not spin or move in an ellipse.',
+    ],
+    theoryTitle: 'Simple Pendulum Theory',
+    theory: simplePendulumTheory,
+    apparatus: '<div class="pendulum-container"><div class="pendulum-pivot"></div><div id="pendulum-rod" class="pendulum-rod" style="height: 150px;"><div class="pendulum-bob"></div></div></div>',
+    elements: { pendulumRod: 'pendulum-rod' },
+    inputs: [
+        { id: 'length', label: 'Length (L)', type: 'range', min: 0.5, max: 2.5, step: 0.1, value: 1.5, unit: 'm', decimals: 2 },
+        { id: 'amplitude', label: 'Release Amplitude (θ₀)', type: 'range', min: 2, max: 80, step: 1, value: 10, unit: '°' },
+        { id: 'damping', label: 'Air Damping (b)', type: 'range', min: 0, max: 0.2, step: 0.005, value: 0.01, unit: 's⁻¹', decimals: 3 },
+    ],
+    commonInputs: [
+        { id: 'oscillations', label: 'Oscillations (n)', type: 'range', min: 10, max: 50, step: 1, value: 20 },
+    ],
+    leastCounts: [
+        { id: 'length', label: 'Length', unit: 'm', value: 0.001 },
+        { id: 'time', label: 'Time', unit: 's', value: 0.01 },
+    ],
+    manualFields: [
+        { id: 'length', label: 'Length (L) in meters', placeholder: 'e.g., 1.5' },
+        { id: 'time', label: "Time for 'n' oscillations (t)", placeholder: 'e.g., 38.9' },
+        { id: 'amplitude', label: 'Release amplitude θ₀ in degrees (optional)', placeholder: 'e.g., 10', optional: true },
+    ],
+    columns: [
+        { label: 'S.No', value: r => r.sno },
+        { label: 'L (m)', value: r => r.L.toFixed(2) },
+        { label: 'θ₀ (°)', value: r => r.theta0.toFixed(0) },
+        { label: 't (s)', value: r => r.t.toFixed(2) },
+        { label: 'T (s)', value: r => r.T.toFixed(3) },
+        { label: 'T² (s²)', value: r => r.T2.toFixed(3) },
+    ],
+    fields: ['L', 'theta0', 'n', 't'],
+    editFields: [
+        { id: 'L', label: 'Length L (m)' },
+        { id: 'theta0', label: 'Release amplitude θ₀ (°)', allowZero: true },
+        { id: 't', label: "Time for 'n' oscillations t (s)" },
+    ],
+    repeat: { key: ['L', 'theta0', 'n'], average: ['t'] },
+    sortKey: 'L',
+    chart: {
+        x: { label: 'T² (s²)', value: r => r.T2, error: (state, r) => 2 * r.T * leastCount(state, 'time') / r.n },
+        y: { label: 'L (m)', value: r => r.L, error: state => leastCount(state, 'length') },
+        fit: true,
+    },
+    setup(state) {
+        state.gravity = 0;
+        state.swing = { theta: 0, omega: 0, frameId: 0, lastTime: 0 };
+        sp_setSimulationGravity(state);
+    },
+    teardown(state) {
+        cancelAnimationFrame(state.swing.frameId); // Stop a swing left over from before a reset
+    },
+    saveHidden: state => ({ gravity: state.gravity }),
+    restoreHidden(state, hidden) {
+        if (hidden.gravity > 0) state.gravity = hidden.gravity;
+    },
+    unknowns: unknownPlanet,
+    answers: [{ key: 'g', label: 'Acceleration due to gravity g', unit: 'm/s²' }],
+    onInput(state, inputId) {
+        if (ENVIRONMENT_INPUT_IDS.includes(inputId)) sp_setSimulationGravity(state);
+        if (inputId === 'length' || inputId === 'amplitude') sp_updatePendulumAnimation(state);
+    },
+    simulate: sp_simulate,
+    environment: { unknown: true },
+    errorModel: { random: 1, offset: true, reaction: 'both' },
+    stopwatch: {
+        release: sp_release,
+        field: 't',
+        instruction: state => `Release the bob, start the stopwatch as it passes the centre, count ${inputValue(state, 'oscillations')} oscillations and stop it.`,
+    },
+    fromManual: sp_fromManual,
+    motionImport: { kind: 'oscillation', fields: ['length', 'amplitude'], toRaw: sp_fromMotion },
+    derive: sp_derive,
+    analyze: sp_analyze,
+});
+
 
 // --- EXPERIMENT 2: FLYWHEEL ---
 
@@ -287,138 +1881,851 @@ const flywheelTheory = `
         <p>A mass (m) attached to a string wrapped around the axle (radius r) falls a height (h), causing the wheel to rotate. From energy conservation, the Moment of Inertia (I) can be calculated using:</p>
         <div class="bg-slate-100 p-4 rounded-lg text-center my-4 overflow-x-auto font-mono">I = [ m*r²*(g*t² - 2h)*n₂ ] / [ 2*h*(n₁ + n₂) ]</div>
         <p>Where: <b>I</b> is Moment of Inertia, <b>m</b> is mass, <b>r</b> is axle radius, <b>g</b> is gravity, <b>t</b> is fall time, <b>h</b> is fall height (2πrn₁), <b>n₁</b> is windings, and <b>n₂</b> is rotations after fall.</p>
+        <p><b>Uncertainty.</b> The repeated values of I are summarised by their mean, standard deviation (σ) and standard error of the mean (σ/√N). Each reading also carries an instrument error from the least counts of the axle radius (δr) and the stopwatch (δt):</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">δI = √[ (∂I/∂r * δr)² + (∂I/∂t * δt)² ]</div>
+        <p>The reported uncertainty combines the standard error with the mean instrument error in quadrature.</p>
+        <p><b>Graph method.</b> The formula above hides the friction torque <b>T<sub>f</sub></b> in n₂. It can instead be measured directly: the mass falls with acceleration <b>a = 2h/t²</b> and the wheel turns with angular acceleration <b>α = a/r</b>. The string tension m(g - a) turns the wheel against friction, so:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">m * (g - a) * r = I * α + T<sub>f</sub></div>
+        <p>Plotting the applied torque against α for several hanging masses gives a straight line whose <b>slope is I</b> and whose <b>intercept is the friction torque T<sub>f</sub></b>. Readings too far from the line for the number of readings taken (Chauvenet's criterion) are flagged for checking.</p>
     </div>
 `;
 
-let fw_state = {}; // State object for the Flywheel experiment
-
-const FLYWHEEL_MODELS = { 'A': { I: 0.005, Tf: 0.002 }, 'B': { I: 0.015, Tf: 0.004 }, 'unknown': { I: 0, Tf: 0 } };
-
-function initFlywheelExperiment() {
-    fw_state = {
-        readings: [],
-        mode: 'simulation',
-        dom: {
-            simModeBtn: document.getElementById('fw-sim-mode-btn'),
-            manualModeBtn: document.getElementById('fw-manual-mode-btn'),
-            simulationControls: document.getElementById('fw-simulation-controls'),
-            manualEntryControls: document.getElementById('fw-manual-entry-controls'),
-            modelSelect: document.getElementById('fw-model'),
-            massSlider: document.getElementById('fw-mass'),
-            massValue: document.getElementById('fw-mass-value'),
-            radiusSlider: document.getElementById('fw-radius'),
-            radiusValue: document.getElementById('fw-radius-value'),
-            n1Slider: document.getElementById('fw-n1'),
-            n1Value: document.getElementById('fw-n1-value'),
-            manualMass: document.getElementById('fw-manual-mass'),
-            manualT: document.getElementById('fw-manual-t'),
-            manualN2: document.getElementById('fw-manual-n2'),
-            addBtn: document.getElementById('fw-add-reading-btn'),
-            resetBtn: document.getElementById('fw-reset-btn'),
-            table: document.getElementById('fw-readings-table'),
-            result: document.getElementById('fw-result-display'),
-            wheel: document.getElementById('flywheel-wheel'),
-            mass: document.getElementById('flywheel-mass'),
-            theoryBtn: document.getElementById('fw-theory-btn'),
-        }
-    };
-    
-    const D = fw_state.dom;
-    D.simModeBtn.addEventListener('click', () => fw_setMode('simulation'));
-    D.manualModeBtn.addEventListener('click', () => fw_setMode('manual'));
-    D.addBtn.addEventListener('click', fw_addReading);
-    D.resetBtn.addEventListener('click', initFlywheelExperiment);
-    D.theoryBtn.addEventListener('click', () => openModal('Flywheel Theory', flywheelTheory));
-    D.modelSelect.addEventListener('change', () => { fw_state.readings = []; fw_setFlywheelModel(); fw_updateUI(); });
-    D.massSlider.addEventListener('input', () => D.massValue.textContent = D.massSlider.value);
-    D.radiusSlider.addEventListener('input', () => D.radiusValue.textContent = parseFloat(D.radiusSlider.value).toFixed(1));
-    D.n1Slider.addEventListener('input', () => D.n1Value.textContent = D.n1Slider.value);
-
-    fw_setMode('simulation');
-    fw_setFlywheelModel();
-    fw_updateUI();
-}
-
-function fw_setMode(mode) {
-    fw_state.mode = mode;
-    const D = fw_state.dom;
-    const isSim = mode === 'simulation';
-    D.simulationControls.classList.toggle('hidden', !isSim);
-    D.manualEntryControls.classList.toggle('hidden', isSim);
-    D.simModeBtn.classList.toggle('active', isSim);
-    D.manualModeBtn.classList.toggle('active', !isSim);
-}
-
-function fw_setFlywheelModel() {
-    const modelKey = fw_state.dom.modelSelect.value;
-    if (modelKey === 'unknown') { // Randomize properties for unknown model
-        FLYWHEEL_MODELS.unknown.I = 0.003 + Math.random() * 0.015;
-        FLYWHEEL_MODELS.unknown.Tf = 0.001 + Math.random() * 0.005;
-    }
-    fw_state.model = FLYWHEEL_MODELS[modelKey];
+const FLYWHEEL_MODELS = { 'A': { I: 0.005, Tf: 0.002 }, 'B': { I: 0.015, Tf: 0.004 } };
+
+function fw_setFlywheelModel(state) {
+    const modelKey = inputValue(state, 'model');
+    state.model = modelKey === 'unknown' ? experimentUnknowns(state.def) : FLYWHEEL_MODELS[modelKey];
 }
 
-function fw_addReading() {
-    const D = fw_state.dom;
-    let m_kg, r_m, n1, t, n2;
-    r_m = parseFloat(D.radiusSlider.value) / 100; // cm to m
-    n1 = parseInt(D.n1Slider.value);
-    const h = 2 * Math.PI * r_m * n1;
+function fw_release(state) {
+    const m_kg = inputValue(state, 'mass') / 1000; // g to kg
+    const r_m = inputValue(state, 'radius') / 100; // cm to m
+    const n1 = inputValue(state, 'n1');
+    const fall = coreResult(flywheelFall({ m: m_kg, r: r_m, n1: n1, I: state.model.I, Tf: state.model.Tf, g: environmentGravity(state) }));
+    if (!fall) return null;
+    fw_animate(state, fall.t, fall.n2, fall.omega);
+    const n2_counted = fall.n2 * (1 + inputValue(state, 'errRandom') / 100 * gaussianRandom(state.random)); // Counting error
+    return { raw: { m: m_kg, r: r_m, n1: n1, n2: n2_counted }, time: fall.t };
+}
 
-    if (fw_state.mode === 'simulation') {
-        m_kg = parseFloat(D.massSlider.value) / 1000; // g to kg
-        const {I, Tf} = fw_state.model;
-        const a = (m_kg * G_ACCELERATION - Tf / r_m) / (m_kg + I / (r_m * r_m));
-        if (a <= 0) { showNotification("Mass is too light."); return; }
-        t = Math.sqrt(2 * h / a);
-        const omega = (a * t) / r_m;
-        const theta_after = (I * omega * omega) / (2 * Tf);
-        n2 = theta_after / (2 * Math.PI);
-        t *= (1 + (Math.random() - 0.5) * 0.03); // Add error
-        n2 *= (1 + (Math.random() - 0.5) * 0.03); // Add error
-        fw_animate(t, n2, omega);
-    } else { // Manual mode
-        m_kg = parseFloat(D.manualMass.value) / 1000;
-        t = parseFloat(D.manualT.value);
-        n2 = parseFloat(D.manualN2.value);
-        if (isNaN(m_kg) || isNaN(t) || isNaN(n2) || m_kg <= 0 || t <= 0 || n2 <= 0) {
-             showNotification('Please enter valid positive numbers.'); return;
-        }
-    }
-    
-    const term1 = 2 * h * (n1 + n2);
-    const term2 = m_kg * r_m * r_m * (G_ACCELERATION * t * t - 2 * h) * n2;
-    if (term1 === 0) { showNotification("Invalid parameters."); return; }
-    const I_calc = term2 / term1;
-    if (I_calc <= 0) { showNotification("Non-physical result. Check inputs."); return; }
+function fw_simulate(state) {
+    const trial = fw_release(state);
+    return trial && Object.assign(trial.raw, { t: measureTime(state, trial.time) });
+}
 
-    fw_state.readings.push({ m: m_kg, h: h, t: t, n2: n2, I: I_calc });
-    fw_updateUI();
+function fw_fromManual(state, values) {
+    return { m: values.mass / 1000, r: inputValue(state, 'radius') / 100, n1: inputValue(state, 'n1'), t: values.t, n2: values.n2 };
 }
 
-function fw_updateUI() {
-    const D = fw_state.dom;
-    // Update table
-    D.table.innerHTML = fw_state.readings.length === 0 ? `<tr><td colspan="5" class="p-4 text-center text-slate-500">No readings.</td></tr>` : fw_state.readings.map(r => `<tr class="bg-white border-b"><td class="px-2 py-2">${r.m.toFixed(3)}</td><td class="px-2 py-2">${r.h.toFixed(3)}</td><td class="px-2 py-2">${r.t.toFixed(2)}</td><td class="px-2 py-2">${r.n2.toFixed(1)}</td><td class="px-2 py-2 font-medium">${r.I.toExponential(3)}</td></tr>`).join('');
-    
-    // Update result
-    if (fw_state.readings.length === 0) {
-        D.result.innerHTML = `<p class="text-slate-500">Add readings to calculate 'I'.</p>`;
-        return;
+function fw_fromMotion(state, values, motion) {
+    return { m: values.mass / 1000, r: inputValue(state, 'radius') / 100, n1: inputValue(state, 'n1'), t: motion.t, n2: motion.n2 };
+}
+
+function fw_derive(state, raw) {
+    return coreResult(deriveFlywheelReading(raw, environmentGravity(state)));
+}
+
+function fw_analyze(state) {
+    const readings = includedReadings(state);
+    if (readings.length === 0) return { message: "Add readings to calculate 'I'." };
+    const leastCounts = { radius: leastCount(state, 'radius') / 100, time: leastCount(state, 'time') }; // cm to m
+    const g = environmentGravity(state);
+    const { mean, sd, se, instrument, total, graph } = analyzeFlywheel(readings, leastCounts, g);
+    const knownI = state.mode !== 'manual' && inputValue(state, 'model') !== 'unknown';
+    const lines = [];
+    if (knownI) lines.push({ label: 'True I', value: `${state.model.I.toExponential(3)} kg·m²` });
+    lines.push({ label: 'Average Calc. I', value: `${formatWithUncertainty(mean, total)} kg·m²`, style: graph ? undefined : 'main' });
+    lines.push({ label: 'Std. deviation (σ)', value: `${sd.toExponential(2)} kg·m²`, style: 'small' });
+    lines.push({ label: 'Std. error (σ/√N)', value: `${se.toExponential(2)} kg·m²`, style: 'small' });
+    lines.push({ label: 'Instrument error (δI)', value: `${instrument.toExponential(2)} kg·m²`, style: 'small' });
+    if (graph) {
+        const { fit } = graph;
+        const many = readings.length > 2;
+        lines.push({ label: 'I from graph (slope)', value: many ? `${formatWithUncertainty(fit.slope, fit.slopeErr)} kg·m²` : `${fit.slope.toExponential(3)} kg·m²`, style: 'main' });
+        lines.push({ label: 'Friction torque Tf (intercept)', value: many ? `${formatWithUncertainty(fit.intercept, fit.interceptErr)} N·m` : `${fit.intercept.toExponential(3)} N·m` });
+        if (knownI) lines.push({ label: 'True Tf', value: `${state.model.Tf.toExponential(3)} N·m` });
+        lines.push({ label: 'Correlation (R²)', value: fit.r2.toFixed(4), style: 'muted' });
+    } else {
+        lines.push({ label: 'Graph method', value: 'add readings with different masses', style: 'muted' });
+    }
+    lines.push({ label: 'g used', value: `${g.toFixed(3)} m/s²`, style: 'muted' });
+    lines.push({ label: 'Readings', value: readings.length, style: 'muted' });
+
+    const first = readings[0];
+    const steps = [
+        `Fall height of each reading: h = 2π × r × n₁ (first reading: 2π × ${first.r.toFixed(4)} × ${first.n1} = ${first.h.toFixed(4)} m).`,
+        `I = m r² (g t² - 2h) n₂ / [2h (n₁ + n₂)]. First reading: ${first.m.toFixed(3)} × ${first.r.toFixed(4)}² × (${g.toFixed(3)} × ${first.t.toFixed(2)}² - 2 × ${first.h.toFixed(4)}) × ${first.n2.toFixed(1)} / [2 × ${first.h.toFixed(4)} × (${first.n1} + ${first.n2.toFixed(1)})] = ${first.I.toExponential(4)} kg·m².`,
+        `Mean of ${readings.length} readings: I = ${mean.toExponential(4)} kg·m².`,
+        `Standard deviation σ = ${sd.toExponential(3)} kg·m²; standard error σ/√N = ${se.toExponential(3)} kg·m².`,
+        `Mean instrument error from δr and δt: δI = ${instrument.toExponential(3)} kg·m².`,
+        `Combined uncertainty: √(${se.toExponential(3)}² + ${instrument.toExponential(3)}²) = <b>${total.toExponential(3)} kg·m²</b>.`,
+    ];
+    if (!graph) {
+        const result = { label: 'I', value: mean, error: total, unit: 'kg·m²', trueValue: knownI ? state.model.I : null };
+        return { lines, steps, result };
     }
-    const sumI = fw_state.readings.reduce((acc, r) => acc + r.I, 0);
-    const avgI = sumI / fw_state.readings.length;
-    const trueI_HTML = (fw_state.mode === 'simulation' && D.modelSelect.value !== 'unknown') ? `<p class="flex justify-between"><strong>True I:</strong> <span>${fw_state.model.I.toExponential(3)} kg·m²</span></p>` : '';
-    D.result.innerHTML = `<div class="space-y-3 text-left">${trueI_HTML}<p class="flex justify-between text-blue-600 font-bold text-lg"><strong>Average Calc. I:</strong> <span>${avgI.toExponential(3)} kg·m²</span></p><p class="flex justify-between text-sm text-slate-500"><strong>Readings:</strong> <span>${fw_state.readings.length}</span></p></div>`;
+    const { fit, flagged } = graph;
+    steps.push(`Graph method: a = 2h/t², α = a/r and applied torque τ = m(g - a)r for each reading. First reading: a = ${first.a.toFixed(4)} m/s², α = ${first.alpha.toFixed(3)} rad/s², τ = ${first.torque.toExponential(4)} N·m.`);
+    steps.push(`Least-squares fit of τ against α: slope I = ${fit.slope.toExponential(4)} kg·m², intercept Tf = ${fit.intercept.toExponential(4)} N·m, R² = ${fit.r2.toFixed(4)}.`);
+    if (flagged.length > 0) steps.push(`Readings failing Chauvenet's criterion (standardized residual in brackets): ${flagged.map(f => `S.No ${f.sno} (${f.z.toFixed(1)}σ)`).join(', ')}.`);
+    const result = { label: 'I', value: fit.slope, error: readings.length > 2 ? fit.slopeErr : null, unit: 'kg·m²', trueValue: knownI ? state.model.I : null }; // Two points leave no scatter to estimate
+    return { lines, steps, result };
 }
 
-function fw_animate(t_fall, n2, omega_max) {
-    const D = fw_state.dom;
-    const r_m = parseFloat(D.radiusSlider.value) / 100;
-    const n1 = parseInt(D.n1Slider.value);
+function fw_animate(state, t_fall, n2, omega_max) {
+    const D = state.dom;
+    const r_m = inputValue(state, 'radius') / 100;
+    const n1 = inputValue(state, 'n1');
     const h = 2 * Math.PI * r_m * n1;
     const final_pos = (h / (r_m * 0.1)) + 20; // Scale height for animation
     const t_stop = omega_max > 0 ? (2 * n2 * 2 * Math.PI) / omega_max : 0;
     D.mass.animate([ { top: '0px' }, { top: `${final_pos}px` } ], { duration: t_fall * 1000, easing: 'ease-in' });
     D.wheel.animate([ { transform: 'rotate(0deg)' }, { transform: `rotate(${360 * (n1 + n2)}deg)` } ], { duration: (t_fall + t_stop) * 1000, easing: 'ease-in-out' });
 }
+
+registerExperiment({
+    id: 'flywheel',
+    prefix: 'fw',
+    number: 2,
+    title: 'Moment of Inertia of Flywheel',
+    summary: 'Determine the moment of inertia of a flywheel.',
+    heading: 'Moment of Inertia of a Flywheel',
+    subtitle: "Determine the value of 'I'",
+    aim: 'To determine the moment of inertia of a flywheel about its axis of rotation using a falling mass.',
+    precautions: [
+        'Wind the string evenly around the axle without overlapping turns.',
+        'The length of string must be such that it slips off the axle when the mass reaches the floor.',
+        'Start the stopwatch at the instant the mass is released and stop it when the string leaves the axle.',
+        'Count the rotations n₂ after the string detaches until the wheel comes to rest.',
+        'Measure the axle radius with a vernier caliper at several places and take the mean.',
+    ],
+    theoryTitle: 'Flywheel Theory',
+    theory: flywheelTheory,
+    apparatus: '<div class="flywheel-container"><div id="flywheel-assembly"><div id="flywheel-wheel"></div><div id="flywheel-axle"></div></div><div id="flywheel-string"><div id="flywheel-mass"></div></div></div>',
+    elements: { wheel: 'flywheel-wheel', mass: 'flywheel-mass' },
+    inputs: [
+        { id: 'model', label: 'Flywheel Model', type: 'select', options: [['unknown', 'Unknown Model'], ['A', 'Model A (Light)'], ['B', 'Model B (Heavy)']], resetsReadings: true },
+        { id: 'mass', label: 'Hanging Mass (m)', type: 'range', min: 50, max: 500, step: 10, value: 250, unit: 'g' },
+    ],
+    commonInputs: [
+        { id: 'radius', label: 'Axle Radius (r)', type: 'range', min: 1, max: 5, step: 0.1, value: 2.0, unit: 'cm', decimals: 1 },
+        { id: 'n1', label: 'No. of Windings (n₁)', type: 'range', min: 5, max: 20, step: 1, value: 10 },
+    ],
+    leastCounts: [
+        { id: 'radius', label: 'Radius', unit: 'cm', value: 0.01 },
+        { id: 'time', label: 'Time', unit: 's', value: 0.01 },
+    ],
+    manualFields: [
+        { id: 'mass', label: 'Mass (m) in grams', placeholder: 'e.g., 250' },
+        { id: 't', label: 'Time to fall, t (s)', placeholder: 'e.g., 4.2' },
+        { id: 'n2', label: 'Rotations after fall, n₂', placeholder: 'e.g., 12' },
+    ],
+    columns: [
+        { label: 'S.No', value: r => r.sno },
+        { label: 'm (kg)', value: r => r.m.toFixed(3) },
+        { label: 'h (m)', value: r => r.h.toFixed(3) },
+        { label: 't (s)', value: r => r.t.toFixed(2) },
+        { label: 'n₂', value: r => r.n2.toFixed(1) },
+        { label: 'α (rad/s²)', value: r => r.alpha.toFixed(3) },
+        { label: 'τ (N·m)', value: r => r.torque.toExponential(3) },
+        { label: 'I (kg·m²)', value: r => `<span class="font-medium">${r.I.toExponential(3)}</span>` },
+    ],
+    fields: ['m', 'r', 'n1', 't', 'n2'],
+    editFields: [
+        { id: 'm', label: 'Mass m (g)', scale: 1000 },
+        { id: 't', label: 'Time to fall t (s)' },
+        { id: 'n2', label: 'Rotations after fall n₂' },
+    ],
+    repeat: { key: ['m', 'r', 'n1'], average: ['t', 'n2'] },
+    sortKey: 'm',
+    chart: {
+        x: { label: 'α (rad/s²)', value: r => r.alpha, error: (state, r) => 2 * r.alpha * leastCount(state, 'time') / r.t },
+        y: { label: 'Torque m(g - a)r (N·m)', value: r => r.torque, error: (state, r) => r.m * r.r * 2 * r.a * leastCount(state, 'time') / r.t },
+        fit: true,
+    },
+    setup: fw_setFlywheelModel,
+    saveHidden: state => ({ I: state.model.I, Tf: state.model.Tf }),
+    restoreHidden(state, hidden) {
+        if (inputValue(state, 'model') === 'unknown' && hidden.I > 0) state.model = { I: hidden.I, Tf: hidden.Tf };
+    },
+    unknowns: random => ({ I: 0.003 + random() * 0.015, Tf: 0.001 + random() * 0.005 }),
+    answers: [{ key: 'I', label: 'Moment of inertia I', unit: 'kg·m²' }, { key: 'Tf', label: 'Friction torque Tf', unit: 'N·m' }],
+    onInput(state, inputId) {
+        if (inputId === 'model') fw_setFlywheelModel(state);
+    },
+    simulate: fw_simulate,
+    environment: { unknown: false },
+    errorModel: { random: 1, offset: true, reaction: 'stop' },
+    stopwatch: {
+        release: fw_release,
+        field: 't',
+        instruction: () => 'Release the mass and start the stopwatch together, then stop it when the string leaves the axle. The rotations n₂ are counted for you.',
+    },
+    fromManual: fw_fromManual,
+    motionImport: { kind: 'rotation', fields: ['mass'], toRaw: fw_fromMotion },
+    derive: fw_derive,
+    analyze: fw_analyze,
+});
+
+// --- EXPERIMENT 3: BAR PENDULUM ---
+
+const barPendulumTheory = `
+    <div class="space-y-4">
+        <p>A bar pendulum is a compound pendulum: a uniform bar with a row of holes, suspended from a knife edge through one hole. Its mass is spread along its length, so it does not swing like a point mass.</p>
+        <p>Suspended at a distance <b>d</b> from its centre of mass, it oscillates with the period:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">T = 2π * √[ (K² + d²) / (g * d) ]</div>
+        <p>Where: <b>K</b> is the radius of gyration about the centre of mass and <b>g</b> is the acceleration due to gravity. The bar swings like a simple pendulum of equivalent length <b>l = (K² + d²)/d</b>.</p>
+        <p>Plotting T against d for holes on both sides of the centre gives two symmetric U-shaped branches. The period is smallest at <b>d = K</b>. A horizontal line at any larger period cuts the branches at four points A, B, C, D. The points where the period is equal satisfy <b>d₁ * d₂ = K²</b> and <b>d₁ + d₂ = l</b>, so:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">l = (AC + BD) / 2 &nbsp;&nbsp; K = √(AD * BC) / 2 &nbsp;&nbsp; g = 4π² * l / T²</div>
+        <p>The same relation can also be written as a straight line, <b>T² * d = (4π²/g) * d² + 4π² * K²/g</b>. A least-squares fit of T²d against d² gives <b>g = 4π²/slope</b> and <b>K = √(intercept/slope)</b> as a cross-check.</p>
+    </div>
+`;
+
+const BP_BAR_LENGTH = 1.0; // Length (m) of the simulated uniform bar
+const BP_K = BP_BAR_LENGTH / Math.sqrt(12); // Radius of gyration (m) of a uniform bar about its centre
+const BP_PIXELS_PER_CM = 2; // Animation scale
+const BP_PIVOT_Y = 100; // Animation pivot height (px) inside its container
+
+function bp_release(state) {
+    const d = inputValue(state, 'distance') / 100; // cm to m
+    if (d === 0) { showNotification('The bar cannot swing about its centre of mass.'); return null; }
+    const n = inputValue(state, 'oscillations');
+    bp_releaseBar(state);
+    return { raw: { d: d, n: n }, time: n * barPendulumPeriod(d, BP_K, state.gravity) };
+}
+
+function bp_simulate(state) {
+    const trial = bp_release(state);
+    return trial && Object.assign(trial.raw, { t: measureTime(state, trial.time) });
+}
+
+function bp_fromManual(state, values) {
+    if (values.distance === 0) { showNotification('The bar cannot swing about its centre of mass.'); return null; }
+    return { d: values.distance / 100, n: inputValue(state, 'oscillations'), t: values.time };
+}
+
+function bp_derive(state, raw) {
+    return coreResult(deriveBarPendulumReading(raw));
+}
+
+function bp_analyze(state) {
+    const readings = includedReadings(state);
+    if (readings.length < 3) return { message: 'Add readings on both sides of the centre of mass.' };
+    // Cross-check: T²d = (4π²/g) d² + 4π²K²/g is a straight line in d²
+    const { graph, fit, gFit: g_fit, dgFit: dg_fit, KFit: K_fit, dKFit: dK_fit, g: g_result, dg } = analyzeBarPendulum(readings);
+    const knownG = knownGravity(state);
+
+    const lines = [];
+    if (state.mode !== 'manual') lines.push({ label: 'True K', value: `${(BP_K * 100).toFixed(2)} cm` });
+    if (knownG) lines.push({ label: 'True g', value: `${knownG.toFixed(3)} m/s²` });
+    if (graph) {
+        lines.push({ label: 'Minima at d', value: `-${(graph.minima[0].x * 100).toFixed(1)} cm, +${(graph.minima[1].x * 100).toFixed(1)} cm`, style: 'small' });
+        lines.push({ label: `Equal-period line`, value: `T = ${graph.T_line.toFixed(3)} s, l = ${(graph.l * 100).toFixed(1)} cm`, style: 'small' });
+        lines.push({ label: 'K from graph', value: `${(graph.K * 100).toFixed(2)} cm` });
+        lines.push({ label: 'g from graph', value: `${graph.g.toFixed(3)} m/s²`, style: 'main' });
+    } else {
+        lines.push({ label: 'Graph method', value: 'needs 3+ readings around each minimum', style: 'muted' });
+    }
+    lines.push({ label: 'K from T²d vs d² fit', value: isNaN(K_fit) ? 'n/a' : `${formatWithUncertainty(K_fit * 100, dK_fit * 100)} cm` });
+    lines.push({ label: 'g from T²d vs d² fit', value: `${formatWithUncertainty(g_fit, dg_fit)} m/s²`, style: graph ? undefined : 'main' });
+    lines.push({ label: 'Correlation (R²)', value: fit.r2.toFixed(4), style: 'muted' });
+
+    const steps = [`Period of each reading: T = t / n (see the observation table).`];
+    if (graph) {
+        steps.push(`Minimum of each branch from a parabola through the lowest three points: d = -${(graph.minima[0].x * 100).toFixed(1)} cm (T = ${graph.minima[0].T.toFixed(3)} s) and d = +${(graph.minima[1].x * 100).toFixed(1)} cm (T = ${graph.minima[1].T.toFixed(3)} s).`);
+        steps.push(`Horizontal line at T = ${graph.T_line.toFixed(3)} s cuts the graph at A = -${(graph.left.outer * 100).toFixed(1)} cm, B = -${(graph.left.inner * 100).toFixed(1)} cm, C = +${(graph.right.inner * 100).toFixed(1)} cm, D = +${(graph.right.outer * 100).toFixed(1)} cm.`);
+        steps.push(`l = (AC + BD)/2 = (${(graph.AC * 100).toFixed(1)} + ${(graph.BD * 100).toFixed(1)})/2 = ${(graph.l * 100).toFixed(1)} cm.`);
+        steps.push(`K = √(AD × BC)/2 = √(${(graph.AD * 100).toFixed(1)} × ${(graph.BC * 100).toFixed(1)})/2 = <b>${(graph.K * 100).toFixed(2)} cm</b>.`);
+        steps.push(`g = 4π² l / T² = 39.478 × ${graph.l.toFixed(4)} / ${graph.T_line.toFixed(3)}² = <b>${graph.g.toFixed(3)} m/s²</b>. The graph method gives no uncertainty of its own; compare it with the value from the fit below.`);
+    }
+    steps.push(`Least-squares fit of T²d against d²: slope = ${fit.slope.toFixed(4)} s²/m, intercept = ${fit.intercept.toFixed(5)} s²·m, R² = ${fit.r2.toFixed(4)}.`);
+    steps.push(`g = 4π²/slope = ${g_fit.toFixed(3)} m/s² and K = √(intercept/slope) = ${isNaN(K_fit) ? 'n/a' : (K_fit * 100).toFixed(2) + ' cm'}; the relative error of the slope gives δg = ${dg_fit.toFixed(3)} m/s².`);
+    const result = { label: 'g', value: g_result, error: dg, unit: 'm/s²', trueValue: knownG };
+    return { lines, steps, result };
+}
+
+/**
+ * Chart overlays: a line through each branch and the equal-period line with its four cuts.
+ * @param {object} state - The experiment state.
+ * @returns {object[]} - Overlay line specifications.
+ */
+function bp_chartOverlays(state) {
+    const overlays = [-1, 1].map(sign => ({
+        label: sign < 0 ? 'Side B' : 'Side A',
+        data: includedReadings(state).filter(r => Math.sign(r.d) === sign).map(r => ({ x: r.d * 100, y: r.T })),
+        color: sign < 0 ? 'rgba(16, 185, 129, 0.8)' : 'rgba(59, 130, 246, 0.8)',
+    }));
+    const graph = barPendulumGraphMethod(includedReadings(state));
+    if (graph) {
+        const xs = [-graph.left.outer, -graph.left.inner, graph.right.inner, graph.right.outer].map(x => x * 100);
+        overlays.push({ label: 'Equal period', data: [{ x: xs[0], y: graph.T_line }, { x: xs[3], y: graph.T_line }], color: 'rgb(239, 68, 68)', dashed: true });
+    }
+    return overlays;
+}
+
+function bp_setSimulationGravity(state) {
+    state.gravity = environmentGravity(state);
+    bp_updateBarAnimation(state);
+}
+
+function bp_updateBarAnimation(state) {
+    const D = state.dom;
+    const d_cm = inputValue(state, 'distance');
+    const above = (BP_BAR_LENGTH * 100 / 2 - Math.abs(d_cm)) * BP_PIXELS_PER_CM; // Bar length above the pivot
+    D.bar.style.top = `${BP_PIVOT_Y - above}px`;
+    D.bar.style.transformOrigin = `50% ${above}px`;
+    D.bar.classList.toggle('flipped', d_cm < 0); // Side B holes: end A hangs at the bottom
+    D.bar.querySelectorAll('.bar-pendulum-hole').forEach(hole => hole.classList.toggle('active', parseFloat(hole.dataset.offset) === Math.abs(d_cm)));
+    cancelAnimationFrame(state.swing.frameId);
+    state.swing.theta = 0;
+    bp_drawBar(state);
+}
+
+function bp_drawBar(state) {
+    state.dom.bar.style.transform = `rotate(${state.swing.theta * 180 / Math.PI}deg)`;
+}
+
+function bp_releaseBar(state) {
+    const d = inputValue(state, 'distance') / 100;
+    if (d === 0) return;
+    const L_equivalent = (BP_K * BP_K + d * d) / Math.abs(d);
+    animateSwing(state.swing, { g: state.gravity, L: L_equivalent, b: 0.02 }, 5 * Math.PI / 180, () => bp_drawBar(state));
+}
+
+// Holes every 5 cm along the bar; data-offset is the distance from the centre on the upper half
+const bp_holesHTML = Array.from({ length: 19 }, (_, i) => (i - 9) * 5).filter(offset => offset !== 0)
+    .map(offset => `<div class="bar-pendulum-hole" data-offset="${offset}" style="top: ${(BP_BAR_LENGTH * 100 / 2 - offset) * BP_PIXELS_PER_CM - 3}px"></div>`).join('');
+
+registerExperiment({
+    id: 'bar-pendulum',
+    prefix: 'bp',
+    number: 3,
+    title: 'Bar Pendulum',
+    summary: 'Determine g and the radius of gyration (K) of a compound pendulum.',
+    heading: 'Bar (Compound) Pendulum',
+    subtitle: "Determine 'g' and the radius of gyration 'K'",
+    aim: 'To determine the acceleration due to gravity (g) and the radius of gyration (K) of a bar pendulum about its centre of mass from the graph of T against d.',
+    precautions: [
+        'The knife edge must be horizontal and the bar must swing in a vertical plane.',
+        'Keep the amplitude small so the motion is simple harmonic.',
+        'Measure d from the centre of mass to the knife edge, not to the edge of the hole.',
+        'Take readings on both sides of the centre of mass, with more holes near the minimum of each branch.',
+        'Draw smooth curves through the points before reading off the equal-period points.',
+    ],
+    theoryTitle: 'Bar Pendulum Theory',
+    theory: barPendulumTheory,
+    apparatus: `<div class="bar-pendulum-container"><div class="pendulum-pivot"></div><div id="bar-pendulum-bar" class="bar-pendulum-bar">${bp_holesHTML}</div></div>`,
+    elements: { bar: 'bar-pendulum-bar' },
+    inputs: [
+        { id: 'distance', label: 'Suspension Hole (d)', type: 'range', min: -45, max: 45, step: 5, value: 30, unit: 'cm' },
+    ],
+    commonInputs: [
+        { id: 'oscillations', label: 'Oscillations (n)', type: 'range', min: 10, max: 50, step: 1, value: 20 },
+    ],
+    leastCounts: [
+        { id: 'distance', label: 'Distance', unit: 'cm', value: 0.1 },
+        { id: 'time', label: 'Time', unit: 's', value: 0.01 },
+    ],
+    manualFields: [
+        { id: 'distance', label: 'Distance from centre d in cm (negative for side B)', placeholder: 'e.g., -25', allowNegative: true },
+        { id: 'time', label: "Time for 'n' oscillations (t)", placeholder: 'e.g., 31.2' },
+    ],
+    fields: ['d', 'n', 't'],
+    editFields: [
+        { id: 'd', label: 'Distance from centre d (cm)', scale: 100, allowNegative: true },
+        { id: 't', label: "Time for 'n' oscillations t (s)" },
+    ],
+    repeat: { key: ['d', 'n'], average: ['t'] },
+    columns: [
+        { label: 'S.No', value: r => r.sno },
+        { label: 'Side', value: r => (r.d < 0 ? 'B' : 'A') },
+        { label: 'd (cm)', value: r => (r.d * 100).toFixed(1) },
+        { label: 't (s)', value: r => r.t.toFixed(2) },
+        { label: 'T (s)', value: r => r.T.toFixed(3) },
+    ],
+    sortKey: 'd',
+    chart: {
+        x: { label: 'd (cm)', value: r => r.d * 100, error: state => leastCount(state, 'distance') },
+        y: { label: 'T (s)', value: r => r.T, error: (state, r) => leastCount(state, 'time') / r.n },
+        overlays: bp_chartOverlays,
+    },
+    setup(state) {
+        state.gravity = 0;
+        state.swing = { theta: 0, omega: 0, frameId: 0, lastTime: 0 };
+        bp_setSimulationGravity(state);
+    },
+    teardown(state) {
+        cancelAnimationFrame(state.swing.frameId);
+    },
+    saveHidden: state => ({ gravity: state.gravity }),
+    restoreHidden(state, hidden) {
+        if (hidden.gravity > 0) state.gravity = hidden.gravity;
+    },
+    unknowns: unknownPlanet,
+    answers: [{ key: 'g', label: 'Acceleration due to gravity g', unit: 'm/s²' }],
+    onInput(state, inputId) {
+        if (ENVIRONMENT_INPUT_IDS.includes(inputId)) bp_setSimulationGravity(state);
+        if (inputId === 'distance') bp_updateBarAnimation(state);
+    },
+    simulate: bp_simulate,
+    environment: { unknown: true },
+    errorModel: { random: 1, offset: true, reaction: 'both' },
+    stopwatch: {
+        release: bp_release,
+        field: 't',
+        instruction: state => `Release the bar, start the stopwatch as it passes the vertical, count ${inputValue(state, 'oscillations')} oscillations and stop it.`,
+    },
+    fromManual: bp_fromManual,
+    derive: bp_derive,
+    analyze: bp_analyze,
+});
+
+// --- EXPERIMENT 5: TORSION PENDULUM ---
+
+const torsionPendulumTheory = `
+    <div class="space-y-4">
+        <p>A torsion pendulum is a heavy disc hung from a thin wire clamped at its upper end. Twisting the disc through an angle θ twists the wire, which exerts a restoring torque <b>τ = -C * θ</b>. The torsional constant C depends on the wire:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">C = π * η * r⁴ / (2 * l)</div>
+        <p>Where: <b>η</b> is the rigidity (shear) modulus of the wire material, <b>r</b> is the wire radius and <b>l</b> is its length. The disc performs rotational simple harmonic motion with period:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">T = 2π * √(I / C) &nbsp;⇒&nbsp; T² = 8π * I * l / (η * r⁴)</div>
+        <p><b>Method 1: varying the wire length.</b> For a disc of mass M and radius R, I = MR²/2. T² is proportional to l, and the slope of the T² vs l graph gives:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">η = 8π * I / (r⁴ * Slope)</div>
+        <p><b>Method 2: adding rings.</b> Keeping the length fixed, rings of total mass m are placed on the rim of the disc, adding I = mR². Then T² = (8πl/ηr⁴) * (I₀ + mR²) is a straight line in m, so the disc's own moment of inertia need not be known:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">η = 8π * l * R² / (r⁴ * Slope) &nbsp;&nbsp; I₀ = R² * Intercept / Slope</div>
+        <p>With only two readings, T₀ without and T₁ with the rings, this is the classic two-period formula <b>I₀ = mR² * T₀² / (T₁² - T₀²)</b>.</p>
+        <p><b>Uncertainty.</b> The wire radius enters as r⁴, so its least count contributes <b>4δr/r</b> to the relative error of η and usually dominates.</p>
+    </div>
+`;
+
+// Rigidity modulus η of the selectable wire materials, in Pa
+const TORSION_WIRE_MATERIALS = { 'steel': 79.3e9, 'brass': 36.0e9, 'copper': 44.7e9, 'aluminium': 26.0e9 };
+
+function tp_setWireMaterial(state) {
+    const material = inputValue(state, 'material');
+    state.eta = material === 'unknown' ? experimentUnknowns(state.def).eta : TORSION_WIRE_MATERIALS[material];
+}
+
+/**
+ * Reads the wire radius and disc dimensions, which apply to both simulation and manual readings.
+ * @param {object} state - The experiment state.
+ * @returns {object} - The wire radius r, disc mass M and disc radius R in SI units.
+ */
+function tp_apparatus(state) {
+    return { r: inputValue(state, 'wireRadius') / 1000, M: inputValue(state, 'discMass'), R: inputValue(state, 'discRadius') / 100 };
+}
+
+function tp_release(state) {
+    const raw = Object.assign(tp_apparatus(state), { l: inputValue(state, 'wireLength'), mRing: inputValue(state, 'ringMass') / 1000, n: inputValue(state, 'oscillations') });
+    const I = raw.M * raw.R * raw.R / 2 + raw.mRing * raw.R * raw.R;
+    const T = torsionPeriod(I, state.eta, raw.r, raw.l);
+    tp_releaseDisc(state, T, raw.n * T);
+    return { raw: raw, time: raw.n * T };
+}
+
+function tp_simulate(state) {
+    const trial = tp_release(state);
+    return Object.assign(trial.raw, { t: measureTime(state, trial.time) });
+}
+
+function tp_fromManual(state, values) {
+    return Object.assign(tp_apparatus(state), { l: values.wireLength, mRing: (values.ringMass || 0) / 1000, n: inputValue(state, 'oscillations'), t: values.time });
+}
+
+function tp_derive(state, raw) {
+    return deriveTorsionReading(raw);
+}
+
+function tp_analyze(state) {
+    const readings = includedReadings(state);
+    if (readings.length < 2) return { message: 'Add at least two readings.' };
+    const method = inputValue(state, 'method');
+    const byRings = method === 'rings';
+    const { r, R, M } = readings[0];
+    const leastCounts = { wireRadius: leastCount(state, 'wireRadius') / 1000, length: leastCount(state, 'length') }; // mm to m
+    const { fit, eta, I0, dEta, dI0, wireError, consistent } = analyzeTorsion(readings, method, leastCounts);
+    const lines = [];
+    const steps = [`Period of each reading: T = t / n, then T² (see the observation table).`];
+    if (!consistent) lines.push({ label: 'Warning', value: byRings ? 'readings mix wire lengths or discs' : 'readings mix ring masses or discs', style: 'small' });
+    if (byRings) {
+        const l = readings[0].l;
+        steps.push(`Least-squares fit of T² against ring mass m at l = ${l.toFixed(3)} m: slope = ${fit.slope.toFixed(3)} s²/kg, intercept = ${fit.intercept.toFixed(4)} s², R² = ${fit.r2.toFixed(4)}.`);
+        steps.push(`η = 8π l R² / (r⁴ × slope) = 8π × ${l.toFixed(3)} × ${R.toFixed(3)}² / (${Math.pow(r, 4).toExponential(3)} × ${fit.slope.toFixed(3)}) = <b>${(eta / 1e9).toFixed(2)} GPa</b>.`);
+        steps.push(`I₀ = R² × intercept / slope = ${R.toFixed(3)}² × ${fit.intercept.toFixed(4)} / ${fit.slope.toFixed(3)} = <b>${I0.toExponential(3)} kg·m²</b>.`);
+    } else {
+        steps.push(`Moment of inertia of the disc: I = MR²/2 = ${M.toFixed(2)} × ${R.toFixed(3)}² / 2 = ${I0.toExponential(3)} kg·m².`);
+        steps.push(`Least-squares fit of T² against wire length l: slope = ${fit.slope.toFixed(3)} s²/m, intercept = ${fit.intercept.toFixed(4)} s², R² = ${fit.r2.toFixed(4)}.`);
+        steps.push(`η = 8π I / (r⁴ × slope) = 8π × ${I0.toExponential(3)} / (${Math.pow(r, 4).toExponential(3)} × ${fit.slope.toFixed(3)}) = <b>${(eta / 1e9).toFixed(2)} GPa</b>.`);
+    }
+    steps.push(`Relative error: √[(δslope/slope)² + (4δr/r)²${byRings ? ' + (δl/l)²' : ''}] with 4δr/r = ${(wireError * 100).toFixed(2)}% gives δη = ${(dEta / 1e9).toFixed(2)} GPa.`);
+
+    const knownEta = state.mode !== 'manual' && inputValue(state, 'material') !== 'unknown';
+    if (knownEta) lines.push({ label: 'True η', value: `${(state.eta / 1e9).toFixed(1)} GPa` });
+    lines.push({ label: 'Graph Slope', value: readings.length > 2 ? formatWithUncertainty(fit.slope, fit.slopeErr) : fit.slope.toFixed(4) });
+    lines.push({ label: 'Rigidity modulus η', value: `${formatWithUncertainty(eta / 1e9, dEta / 1e9)} GPa`, style: 'main' });
+    if (byRings) {
+        if (state.mode !== 'manual') lines.push({ label: 'True I₀ (MR²/2)', value: `${(M * R * R / 2).toExponential(3)} kg·m²` });
+        lines.push({ label: 'Disc I₀ from graph', value: readings.length > 2 ? `${formatWithUncertainty(I0, dI0)} kg·m²` : `${I0.toExponential(3)} kg·m²` });
+    } else {
+        lines.push({ label: 'Disc I (MR²/2)', value: `${I0.toExponential(3)} kg·m²` });
+    }
+    lines.push({ label: 'Correlation (R²)', value: fit.r2.toFixed(4), style: 'muted' });
+    const result = { label: 'η', value: eta / 1e9, error: dEta / 1e9, unit: 'GPa', trueValue: knownEta ? state.eta / 1e9 : null };
+    return { lines, steps, result };
+}
+
+function tp_updateDiscAnimation(state) {
+    const D = state.dom;
+    D.wire.style.height = `${30 + inputValue(state, 'wireLength') * 60}px`;
+    D.disc.classList.toggle('with-rings', inputValue(state, 'ringMass') > 0);
+    cancelAnimationFrame(state.twist.frameId);
+    D.disc.style.transform = 'rotate(0deg)';
+}
+
+/**
+ * Animates the released disc, swinging long enough for the student to count all the oscillations they time.
+ * @param {object} state - The experiment state.
+ * @param {number} T - The period in seconds.
+ * @param {number} duration - The time of the oscillations being counted, in seconds.
+ */
+function tp_releaseDisc(state, T, duration) {
+    const twist = state.twist;
+    const theta0 = 40, restAngle = 0.5; // Release angle and the amplitude at which the disc stops, in degrees
+    // Damping rate in 1/s: 0.05 unless that would stop a slow disc before 1.5 × duration, leaving time for a late stop
+    const damping = Math.min(0.05, 2 * Math.log(theta0 / restAngle) / (1.5 * duration));
+    cancelAnimationFrame(twist.frameId);
+    const start = performance.now();
+    const frame = (now) => {
+        const t = (now - start) / 1000;
+        const amplitude = theta0 * Math.exp(-damping * t / 2);
+        state.dom.disc.style.transform = `rotate(${amplitude * Math.cos(2 * Math.PI * t / T)}deg)`;
+        if (amplitude > restAngle) twist.frameId = requestAnimationFrame(frame);
+    };
+    twist.frameId = requestAnimationFrame(frame);
+}
+
+registerExperiment({
+    id: 'torsion-pendulum',
+    prefix: 'tp',
+    number: 5,
+    title: 'Torsion Pendulum',
+    summary: 'Determine the rigidity modulus of a wire and the moment of inertia of a disc.',
+    heading: 'Torsion Pendulum',
+    subtitle: "Determine the rigidity modulus 'η' and moment of inertia 'I'",
+    aim: 'To determine the rigidity modulus (η) of the material of a wire and the moment of inertia (I) of a disc using a torsion pendulum.',
+    precautions: [
+        'The wire should be free from kinks and clamped firmly at both ends.',
+        'Twist the disc gently so that it rotates in a horizontal plane without wobbling.',
+        'Keep the angular amplitude small and the same for all readings.',
+        'Measure the wire radius at several places and in perpendicular directions with a screw gauge, since it appears as r⁴.',
+        'Place the rings symmetrically so the disc stays horizontal.',
+    ],
+    theoryTitle: 'Torsion Pendulum Theory',
+    theory: torsionPendulumTheory,
+    apparatus: '<div class="torsion-container"><div class="torsion-clamp"></div><div id="torsion-wire" class="torsion-wire"></div><div id="torsion-disc" class="torsion-disc"><div class="torsion-marker"></div></div></div>',
+    elements: { wire: 'torsion-wire', disc: 'torsion-disc' },
+    inputs: [
+        { id: 'material', label: 'Wire Material', type: 'select', options: [['unknown', 'Unknown Wire'], ['steel', 'Steel'], ['brass', 'Brass'], ['copper', 'Copper'], ['aluminium', 'Aluminium']], resetsReadings: true },
+        { id: 'wireLength', label: 'Wire Length (l)', type: 'range', min: 0.3, max: 1.2, step: 0.05, value: 0.6, unit: 'm', decimals: 2 },
+        { id: 'ringMass', label: 'Extra Ring Mass (m)', type: 'range', min: 0, max: 1000, step: 100, value: 0, unit: 'g' },
+    ],
+    commonInputs: [
+        { id: 'method', label: 'Method', type: 'select', options: [['length', 'Vary wire length (T² vs l)'], ['rings', 'Add rings (T² vs ring mass)']] },
+        { id: 'wireRadius', label: 'Wire Radius (r)', type: 'range', min: 0.3, max: 1.0, step: 0.05, value: 0.5, unit: 'mm', decimals: 2 },
+        { id: 'discMass', label: 'Disc Mass (M)', type: 'range', min: 0.5, max: 3, step: 0.1, value: 1.0, unit: 'kg', decimals: 1 },
+        { id: 'discRadius', label: 'Disc Radius (R)', type: 'range', min: 5, max: 15, step: 0.5, value: 10, unit: 'cm', decimals: 1 },
+        { id: 'oscillations', label: 'Oscillations (n)', type: 'range', min: 5, max: 30, step: 1, value: 10 },
+    ],
+    leastCounts: [
+        { id: 'wireRadius', label: 'Wire radius', unit: 'mm', value: 0.005 },
+        { id: 'length', label: 'Length', unit: 'm', value: 0.001 },
+        { id: 'time', label: 'Time', unit: 's', value: 0.01 },
+    ],
+    manualFields: [
+        { id: 'wireLength', label: 'Wire length (l) in meters', placeholder: 'e.g., 0.6' },
+        { id: 'ringMass', label: 'Ring mass (m) in grams (blank for none)', placeholder: 'e.g., 400', optional: true, allowZero: true },
+        { id: 'time', label: "Time for 'n' oscillations (t)", placeholder: 'e.g., 39.5' },
+    ],
+    fields: ['l', 'mRing', 'r', 'M', 'R', 'n', 't'],
+    editFields: [
+        { id: 'l', label: 'Wire length l (m)' },
+        { id: 'mRing', label: 'Ring mass m (g)', scale: 1000, allowZero: true },
+        { id: 't', label: "Time for 'n' oscillations t (s)" },
+    ],
+    repeat: { key: ['l', 'mRing', 'r', 'M', 'R', 'n'], average: ['t'] },
+    columns: [
+        { label: 'S.No', value: r => r.sno },
+        { label: 'l (m)', value: r => r.l.toFixed(3) },
+        { label: 'Rings (g)', value: r => (r.mRing * 1000).toFixed(0) },
+        { label: 't (s)', value: r => r.t.toFixed(2) },
+        { label: 'T (s)', value: r => r.T.toFixed(3) },
+        { label: 'T² (s²)', value: r => r.T2.toFixed(3) },
+    ],
+    sortKey: 'l',
+    chart: {
+        x: state => (inputValue(state, 'method') === 'rings'
+            ? { label: 'Ring mass m (kg)', value: r => r.mRing }
+            : { label: 'l (m)', value: r => r.l, error: st => leastCount(st, 'length') }),
+        y: { label: 'T² (s²)', value: r => r.T2, error: (state, r) => 2 * r.T * leastCount(state, 'time') / r.n },
+        fit: true,
+    },
+    setup(state) {
+        state.twist = { frameId: 0 };
+        tp_setWireMaterial(state);
+        tp_updateDiscAnimation(state);
+    },
+    teardown(state) {
+        cancelAnimationFrame(state.twist.frameId);
+    },
+    saveHidden: state => ({ eta: state.eta }),
+    restoreHidden(state, hidden) {
+        if (inputValue(state, 'material') === 'unknown' && hidden.eta > 0) state.eta = hidden.eta;
+    },
+    unknowns: random => ({ eta: (20 + random() * 70) * 1e9 }),
+    answers: [{ key: 'eta', label: 'Rigidity modulus η', unit: 'GPa', scale: 1e-9 }],
+    onInput(state, inputId) {
+        if (inputId === 'material') tp_setWireMaterial(state);
+        if (inputId === 'wireLength' || inputId === 'ringMass') tp_updateDiscAnimation(state);
+    },
+    simulate: tp_simulate,
+    errorModel: { random: 1, offset: true, reaction: 'both' },
+    stopwatch: {
+        release: tp_release,
+        field: 't',
+        instruction: state => `Twist and release the disc, start the stopwatch as the marker passes its rest position, count ${inputValue(state, 'oscillations')} oscillations and stop it.`,
+    },
+    fromManual: tp_fromManual,
+    derive: tp_derive,
+    analyze: tp_analyze,
+});
+
+// --- EXPERIMENT 11: FREE FALL ---
+
+const freeFallTheory = `
+    <div class="space-y-4">
+        <p>A steel ball held by an electromagnet is released from rest and falls past two photogates. Each gate reports the time at which the ball cuts its light beam, measured by a timer that starts when the magnet is switched off. A body falling freely from rest covers a height h in time t with:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">h = ½ * g * t²</div>
+        <p><b>Systematic errors.</b> The magnet takes a moment to let go of the ball (release delay) and each gate triggers slightly late (latency), so every timestamp is too large by the same offset δ. Then h = ½g(t - δ)², which rearranges to:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">2h / t ≈ g * t - 2gδ</div>
+        <p><b>Method 1: 2h/t vs t.</b> The slope is g and the intercept -2gδ reveals the offset, δ = -Intercept / (2 * Slope).</p>
+        <p><b>Method 2: h vs t².</b> The slope is g/2. An offset makes the line miss the origin and biases the slope, so a non-zero intercept is a warning sign.</p>
+        <p><b>Method 3: time between the gates.</b> If the ball passes gate 1 with speed v₁ and reaches gate 2, a distance Δh lower, after a time Δt, then Δh = v₁Δt + ½gΔt², or:</p>
+        <div class="bg-slate-100 p-4 rounded-lg text-center my-4 font-mono">2Δh / Δt = g * Δt + 2v₁</div>
+        <p>The slope is g and the intercept is 2v₁. The offset is the same at both gates and cancels in Δt, so this method is free of the systematic errors.</p>
+    </div>
+`;
+
+const FF_COLUMN_CM = 160; // Height (cm) shown by the animation column
+const FF_PIXELS_PER_CM = 1.75; // Animation scale
+const FF_SLOW_MOTION = 5; // The drop is animated this many times slower than real time
+
+function ff_setSimulationGravity(state) {
+    state.gravity = environmentGravity(state);
+}
+
+function ff_simulate(state) {
+    const h1 = inputValue(state, 'gate1') / 100, h2 = inputValue(state, 'gate2') / 100; // cm to m
+    if (h2 <= h1) { showNotification('Gate 2 must be below gate 1.'); return null; }
+    const offset = (inputValue(state, 'releaseDelay') + inputValue(state, 'latency')) / 1000; // ms to s
+    const t1 = measureTime(state, freeFallGateTime(h1, state.gravity, offset));
+    const t2 = measureTime(state, freeFallGateTime(h2, state.gravity, offset));
+    ff_dropBall(state);
+    return { h1: h1, h2: h2, t1: t1, t2: t2 };
+}
+
+function ff_fromManual(state, values) {
+    if (values.gate2 <= values.gate1) { showNotification('Gate 2 must be below gate 1.'); return null; }
+    return { h1: values.gate1 / 100, h2: values.gate2 / 100, t1: values.t1, t2: values.t2 };
+}
+
+function ff_derive(state, raw) {
+    return coreResult(deriveFreeFallReading(raw));
+}
+
+// Graph of each method, { x, y } with the same fields as a chart axis definition
+const FF_METHOD_AXES = {
+    'release': {
+        x: { label: 't (s)', value: r => r.t2, error: state => leastCount(state, 'time') },
+        y: { label: '2h/t (m/s)', value: r => r.vRelease, error: (state, r) => r.vRelease * Math.hypot(leastCount(state, 'position') / 100 / r.h2, leastCount(state, 'time') / r.t2) },
+    },
+    'squared': {
+        x: { label: 't² (s²)', value: r => r.t2sq, error: (state, r) => 2 * r.t2 * leastCount(state, 'time') },
+        y: { label: 'h (m)', value: r => r.h2, error: state => leastCount(state, 'position') / 100 },
+    },
+    'gates': {
+        x: { label: 'Δt (s)', value: r => r.dt, error: state => Math.SQRT2 * leastCount(state, 'time') },
+        y: { label: '2Δh/Δt (m/s)', value: r => r.vGates, error: (state, r) => r.vGates * Math.SQRT2 * Math.hypot(leastCount(state, 'position') / 100 / r.dh, leastCount(state, 'time') / r.dt) },
+    },
+};
+
+function ff_analyze(state) {
+    const readings = includedReadings(state);
+    if (readings.length < 2) return { message: 'Add at least two readings.' };
+    const method = inputValue(state, 'method');
+    const analysis = analyzeFreeFall(readings, method);
+    const { fit, g } = analysis;
+    const many = readings.length > 2;
+    const dg = many ? analysis.dg : null; // Two points leave no scatter to estimate
+    const gText = many ? formatWithUncertainty(g, dg) : g.toFixed(3);
+    const lines = [];
+    const steps = [];
+    if (method === 'release') {
+        const { offset, dOffset } = analysis;
+        steps.push(`For each reading, 2h/t uses the height of gate 2 and its timestamp (see the observation table).`);
+        steps.push(`Least-squares fit of 2h/t against t for ${readings.length} readings: slope = ${fit.slope.toFixed(3)} m/s², intercept = ${fit.intercept.toFixed(4)} m/s, R² = ${fit.r2.toFixed(4)}.`);
+        steps.push(`g = slope = <b>${gText} m/s²</b>.`);
+        steps.push(`Timing offset δ = -intercept / (2 × slope) = ${(-fit.intercept).toFixed(4)} / (2 × ${fit.slope.toFixed(3)}) = ${(offset * 1000).toFixed(1)} ms.`);
+        lines.push({ label: 'Graph Slope', value: many ? formatWithUncertainty(fit.slope, fit.slopeErr) : fit.slope.toFixed(4) });
+        lines.push({ label: 'Intercept (-2gδ)', value: `${many ? formatWithUncertainty(fit.intercept, fit.interceptErr) : fit.intercept.toFixed(4)} m/s` });
+        lines.push({ label: 'Timing offset δ', value: `${many ? formatWithUncertainty(offset * 1000, dOffset * 1000) : (offset * 1000).toFixed(1)} ms` });
+    } else if (method === 'squared') {
+        steps.push(`For each reading, t² is the square of the gate 2 timestamp (see the observation table).`);
+        steps.push(`Least-squares fit of h against t² for ${readings.length} readings: slope = ${fit.slope.toFixed(4)} m/s², intercept = ${(fit.intercept * 100).toFixed(2)} cm, R² = ${fit.r2.toFixed(4)}.`);
+        steps.push(`g = 2 × slope = 2 × ${fit.slope.toFixed(4)} = <b>${gText} m/s²</b>.`);
+        steps.push(`The intercept should be zero for a ball dropped from rest at t = 0; a non-zero value points to a timing offset that also biases the slope.`);
+        lines.push({ label: 'Graph Slope (g/2)', value: many ? formatWithUncertainty(fit.slope, fit.slopeErr) : fit.slope.toFixed(4) });
+        lines.push({ label: 'Intercept (height offset)', value: `${many ? formatWithUncertainty(fit.intercept * 100, fit.interceptErr * 100) : (fit.intercept * 100).toFixed(2)} cm` });
+    } else {
+        const { v1, dv1 } = analysis;
+        const h1 = readings[0].h1;
+        if (!analysis.sameGate1) lines.push({ label: 'Warning', value: 'readings mix gate 1 positions, so v₁ is not the same for all', style: 'small' });
+        steps.push(`For each reading, Δh = h₂ - h₁ and Δt = t₂ - t₁ (see the observation table).`);
+        steps.push(`Least-squares fit of 2Δh/Δt against Δt for ${readings.length} readings: slope = ${fit.slope.toFixed(3)} m/s², intercept = ${fit.intercept.toFixed(4)} m/s, R² = ${fit.r2.toFixed(4)}.`);
+        steps.push(`g = slope = <b>${gText} m/s²</b>.`);
+        steps.push(`Speed at gate 1: v₁ = intercept / 2 = ${v1.toFixed(3)} m/s, compared with √(2gh₁) = √(2 × ${g.toFixed(3)} × ${h1.toFixed(3)}) = ${Math.sqrt(2 * g * h1).toFixed(3)} m/s.`);
+        lines.push({ label: 'Graph Slope', value: many ? formatWithUncertainty(fit.slope, fit.slopeErr) : fit.slope.toFixed(4) });
+        lines.push({ label: 'Speed at gate 1 (v₁)', value: `${many ? formatWithUncertainty(v1, dv1) : v1.toFixed(3)} m/s, √(2gh₁) = ${Math.sqrt(2 * g * h1).toFixed(3)} m/s` });
+    }
+    if (!many) steps.push('The standard errors need at least three readings.');
+    const simulation = state.mode !== 'manual';
+    const knownG = knownGravity(state);
+    if (knownG) lines.push({ label: 'True g', value: `${knownG.toFixed(3)} m/s²` });
+    lines.push({ label: 'Calculated g', value: `${gText} m/s²`, style: 'main' });
+    if (simulation) lines.push({ label: 'True offset (release + latency)', value: `${inputValue(state, 'releaseDelay') + inputValue(state, 'latency')} ms`, style: 'small' });
+    lines.push({ label: 'Correlation (R²)', value: fit.r2.toFixed(4), style: 'muted' });
+    const result = { label: 'g', value: g, error: dg, unit: 'm/s²', trueValue: knownG };
+    return { lines, steps, result };
+}
+
+function ff_updateGates(state) {
+    const D = state.dom;
+    D.gate1.style.top = `${inputValue(state, 'gate1') * FF_PIXELS_PER_CM}px`;
+    D.gate2.style.top = `${inputValue(state, 'gate2') * FF_PIXELS_PER_CM}px`;
+    cancelAnimationFrame(state.drop.frameId);
+    D.ball.style.top = '0px';
+    [D.gate1, D.gate2].forEach(gate => gate.classList.remove('triggered'));
+}
+
+function ff_dropBall(state) {
+    const D = state.dom;
+    const delay = inputValue(state, 'releaseDelay') / 1000;
+    ff_updateGates(state);
+    const start = performance.now();
+    const frame = (now) => {
+        const t = Math.max(0, (now - start) / 1000 / FF_SLOW_MOTION - delay);
+        const h_cm = Math.min(FF_COLUMN_CM, 0.5 * state.gravity * t * t * 100);
+        D.ball.style.top = `${h_cm * FF_PIXELS_PER_CM}px`;
+        D.gate1.classList.toggle('triggered', h_cm >= inputValue(state, 'gate1'));
+        D.gate2.classList.toggle('triggered', h_cm >= inputValue(state, 'gate2'));
+        if (h_cm < FF_COLUMN_CM) state.drop.frameId = requestAnimationFrame(frame);
+    };
+    state.drop.frameId = requestAnimationFrame(frame);
+}
+
+registerExperiment({
+    id: 'free-fall',
+    prefix: 'ff',
+    number: 11,
+    title: 'Free Fall',
+    summary: 'Measure g by timing a falling ball with two photogates.',
+    heading: 'Free Fall Experiment',
+    subtitle: "Determine 'g' with photogate timing",
+    aim: 'To determine the acceleration due to gravity (g) by timing a freely falling ball with two photogates, and to find the systematic timing offset of the apparatus.',
+    precautions: [
+        'Mount the photogates vertically below the release point so the ball passes through the centre of both beams.',
+        'Measure the gate positions from the bottom of the ball at the release point to the beam.',
+        'Release the ball from rest without pushing it.',
+        'Keep gate 1 fixed while moving gate 2 when using the time between the gates.',
+        'Repeat each position and discard readings where the ball clipped a gate.',
+    ],
+    theoryTitle: 'Free Fall Theory',
+    theory: freeFallTheory,
+    apparatus: '<div class="free-fall-container"><div class="free-fall-magnet"></div><div id="free-fall-ball" class="free-fall-ball"></div><div id="free-fall-gate1" class="free-fall-gate"><span>1</span></div><div id="free-fall-gate2" class="free-fall-gate"><span>2</span></div></div>',
+    elements: { ball: 'free-fall-ball', gate1: 'free-fall-gate1', gate2: 'free-fall-gate2' },
+    inputs: [
+        { id: 'gate1', label: 'Gate 1 Position (h₁)', type: 'range', min: 5, max: 60, step: 5, value: 20, unit: 'cm' },
+        { id: 'gate2', label: 'Gate 2 Position (h₂)', type: 'range', min: 30, max: 150, step: 5, value: 80, unit: 'cm' },
+        { id: 'latency', label: 'Gate Latency', type: 'range', min: 0, max: 20, step: 1, value: 3, unit: 'ms' },
+        { id: 'releaseDelay', label: 'Release Delay', type: 'range', min: 0, max: 50, step: 1, value: 15, unit: 'ms' },
+    ],
+    commonInputs: [
+        { id: 'method', label: 'Graph', type: 'select', options: [['release', '2h/t vs t (from release)'], ['squared', 'h vs t² (from release)'], ['gates', '2Δh/Δt vs Δt (between gates)']] },
+    ],
+    leastCounts: [
+        { id: 'position', label: 'Gate position', unit: 'cm', value: 0.1 },
+        { id: 'time', label: 'Timer', unit: 's', value: 0.0001 },
+    ],
+    manualFields: [
+        { id: 'gate1', label: 'Gate 1 position (h₁) in cm', placeholder: 'e.g., 20' },
+        { id: 'gate2', label: 'Gate 2 position (h₂) in cm', placeholder: 'e.g., 80' },
+        { id: 't1', label: 'Gate 1 time (t₁) in seconds', placeholder: 'e.g., 0.2199' },
+        { id: 't2', label: 'Gate 2 time (t₂) in seconds', placeholder: 'e.g., 0.4219' },
+    ],
+    fields: ['h1', 'h2', 't1', 't2'],
+    editFields: [
+        { id: 'h1', label: 'Gate 1 position h₁ (cm)', scale: 100 },
+        { id: 'h2', label: 'Gate 2 position h₂ (cm)', scale: 100 },
+        { id: 't1', label: 'Gate 1 time t₁ (s)' },
+        { id: 't2', label: 'Gate 2 time t₂ (s)' },
+    ],
+    repeat: { key: ['h1', 'h2'], average: ['t1', 't2'] },
+    columns: [
+        { label: 'S.No', value: r => r.sno },
+        { label: 'h₁ (cm)', value: r => (r.h1 * 100).toFixed(1) },
+        { label: 'h₂ (cm)', value: r => (r.h2 * 100).toFixed(1) },
+        { label: 't₁ (s)', value: r => r.t1.toFixed(4) },
+        { label: 't₂ (s)', value: r => r.t2.toFixed(4) },
+        { label: 'Δt (s)', value: r => r.dt.toFixed(4) },
+        { label: '2h₂/t₂ (m/s)', value: r => r.vRelease.toFixed(3) },
+        { label: '2Δh/Δt (m/s)', value: r => r.vGates.toFixed(3) },
+    ],
+    sortKey: 'h2',
+    chart: {
+        x: state => FF_METHOD_AXES[inputValue(state, 'method')].x,
+        y: state => FF_METHOD_AXES[inputValue(state, 'method')].y,
+        fit: true,
+    },
+    setup(state) {
+        state.gravity = 0;
+        state.drop = { frameId: 0 };
+        ff_setSimulationGravity(state);
+        ff_updateGates(state);
+    },
+    teardown(state) {
+        cancelAnimationFrame(state.drop.frameId);
+    },
+    saveHidden: state => ({ gravity: state.gravity }),
+    restoreHidden(state, hidden) {
+        if (hidden.gravity > 0) state.gravity = hidden.gravity;
+    },
+    unknowns: unknownPlanet,
+    answers: [{ key: 'g', label: 'Acceleration due to gravity g', unit: 'm/s²' }],
+    onInput(state, inputId) {
+        if (ENVIRONMENT_INPUT_IDS.includes(inputId)) ff_setSimulationGravity(state);
+        if (inputId === 'gate1' || inputId === 'gate2') ff_updateGates(state);
+    },
+    simulate: ff_simulate,
+    environment: { unknown: true },
+    errorModel: { random: 0.1 }, // Photogates: no reaction time, and latency and release delay are the offset
+    fromManual: ff_fromManual,
+    derive: ff_derive,
+    analyze: ff_analyze,
+});
+
+// --- STARTUP ---
+
+loadAssignment();
+Object.values(EXPERIMENTS).forEach(renderExperimentView);
+renderMainMenu();
+renderAssignmentPanel();
+window.addEventListener('hashchange', handleRoute);
+handleRoute(); // Reopen the experiment in the URL after a reload or from a link
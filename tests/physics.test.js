@@ -0,0 +1,283 @@
+// Unit tests for the DOM-free physics core. Run with: npm test, or node --test tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const P = require('../physics.js');
+
+const close = (actual, expected, tolerance, message) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+
+test('localGravity follows the normal gravity formula with latitude and altitude', () => {
+    close(P.localGravity(0, 0), 9.7803253, 1e-7, 'equator');
+    close(P.localGravity(90, 0), 9.8321849, 1e-7, 'pole');
+    close(P.localGravity(-90, 0), P.localGravity(90, 0), 1e-12, 'south pole');
+    close(P.localGravity(45, 0), 9.806198, 1e-6, '45°');
+    close(P.localGravity(45, 1000), P.localGravity(45, 0) - 0.003086, 1e-12, 'altitude');
+});
+
+test('linearRegression recovers an exact line with zero standard errors', () => {
+    const x = [1, 2, 3, 4, 5];
+    const fit = P.linearRegression(x, x.map(v => 2.5 * v - 1));
+    close(fit.slope, 2.5, 1e-12, 'slope');
+    close(fit.intercept, -1, 1e-12, 'intercept');
+    close(fit.r2, 1, 1e-12, 'r2');
+    close(fit.slopeErr, 0, 1e-7, 'slopeErr');
+    close(fit.interceptErr, 0, 1e-7, 'interceptErr');
+});
+
+test('linearRegression handles degenerate input', () => {
+    assert.deepEqual(P.linearRegression([], []), { slope: 0, intercept: 0, r2: 0, slopeErr: 0, interceptErr: 0 });
+    assert.equal(P.linearRegression([2, 2, 2], [1, 2, 3]).slope, 0);
+    assert.equal(P.linearRegression([1, 2], [3, 5]).slopeErr, 0);
+});
+
+test('linearRegression gives the textbook standard errors', () => {
+    const fit = P.linearRegression([0, 1, 2, 3], [0, 1, 1, 3]);
+    close(fit.slope, 0.9, 1e-12, 'slope');
+    close(fit.intercept, -0.1, 1e-12, 'intercept');
+    // Residuals 0.1, 0.2, -0.7, 0.4: s² = 0.7/2, Σ(x - x̄)² = 5
+    close(fit.slopeErr, Math.sqrt(0.35 / 5), 1e-12, 'slopeErr');
+    close(fit.interceptErr, Math.sqrt(0.35 * (1 / 4 + 2.25 / 5)), 1e-12, 'interceptErr');
+});
+
+test('Chauvenet flags a planted outlier and nothing else', () => {
+    const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const y = x.map((v, i) => 2 * v + [0.01, -0.02, 0.015, -0.01, 0.02, -0.015, 0.01, -0.02, 0.015, -0.01][i]);
+    y[4] += 0.5;
+    const z = P.standardizedResiduals(x, y, P.linearRegression(x, y));
+    assert.deepEqual(P.chauvenetOutliers(z).map((flag, i) => flag ? i : -1).filter(i => i >= 0), [4]);
+});
+
+test('residualAnalysis gives the residuals about the fitted line', () => {
+    const { fit, residuals, z, outliers } = P.residualAnalysis([0, 1, 2, 3], [0, 1, 1, 3]);
+    close(fit.slope, 0.9, 1e-12, 'slope');
+    [0.1, 0.2, -0.7, 0.4].forEach((r, i) => close(residuals[i], r, 1e-12, `residual ${i}`));
+    assert.equal(z.length, 4);
+    assert.deepEqual(outliers, [false, false, false, false]);
+});
+
+test('normalTailProbability matches the normal distribution', () => {
+    close(P.normalTailProbability(0), 1, 1e-6);
+    close(P.normalTailProbability(1.96), 0.05, 1e-4);
+    close(P.normalTailProbability(-3), 0.0027, 1e-4);
+});
+
+test('meanAndSpread and formatWithUncertainty', () => {
+    const { mean, sd, se } = P.meanAndSpread([2, 4, 4, 4, 5, 5, 7, 9]);
+    assert.equal(mean, 5);
+    close(sd, Math.sqrt(32 / 7), 1e-12, 'sd');
+    close(se, sd / Math.sqrt(8), 1e-12, 'se');
+    assert.equal(P.meanAndSpread([3]).sd, 0);
+    assert.equal(P.formatWithUncertainty(9.8123, 0.1234), '9.81 ± 0.12');
+    assert.equal(P.formatWithUncertainty(9.8123, 0), '9.812 ± 0');
+});
+
+test('mulberry32 repeats its sequence for the same seed', () => {
+    const a = P.mulberry32(P.hashString('ABCD-1234')), b = P.mulberry32(P.hashString('ABCD-1234'));
+    const values = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), values);
+    assert.ok(values.every(v => v >= 0 && v < 1));
+    assert.notEqual(P.hashString('text', 1), P.hashString('text', 2));
+});
+
+test('validateMeasurement', () => {
+    assert.equal(P.validateMeasurement(1.5), null);
+    assert.match(P.validateMeasurement(NaN), /valid positive/);
+    assert.match(P.validateMeasurement(0), /valid positive/);
+    assert.match(P.validateMeasurement(-1, { allowZero: true }), /valid positive/);
+    assert.equal(P.validateMeasurement(0, { allowZero: true }), null);
+    assert.equal(P.validateMeasurement(-1, { allowNegative: true }), null);
+});
+
+test('mergeRepeatedReading averages a repeat into the earlier reading', () => {
+    const repeat = { key: ['L', 'n'], average: ['t'] };
+    const readings = [{ L: 0.5, n: 20, t: 28.0 }, { L: 1.0, n: 20, t: 40.0, trials: 2 }];
+    assert.equal(P.mergeRepeatedReading(readings, { L: 1.5, n: 20, t: 49 }, repeat), null);
+    assert.equal(P.mergeRepeatedReading(readings, { L: 1.0, n: 10, t: 20 }, repeat), null);
+    const merged = P.mergeRepeatedReading(readings, { L: 1.0, n: 20, t: 40.3 }, repeat);
+    assert.equal(merged.index, 1);
+    assert.equal(merged.raw.trials, 3);
+    close(merged.raw.t, 40.1, 1e-12, 't');
+    readings[1].excluded = true;
+    assert.equal(P.mergeRepeatedReading(readings, { L: 1.0, n: 20, t: 40.3 }, repeat), null);
+});
+
+test('parseMotionCSV reads headers, semicolons and decimal commas', () => {
+    const rows = Array.from({ length: 12 }, (v, i) => `${i * 0.1};${i},5`.replace('.', ','));
+    const data = P.parseMotionCSV(['"Time (s)";"Angle (deg)"', ...rows, '1,3;n/a'].join('\n'));
+    assert.deepEqual(data.headers, ['Time (s)', 'Angle (deg)']);
+    assert.equal(data.columns[0].length, 12);
+    close(data.columns[0][3], 0.3, 1e-12, 'time');
+    assert.equal(data.columns[1][3], 3.5);
+    assert.match(P.parseMotionCSV('0,1\n1,2').error, /ten rows/);
+});
+
+test('oscillationAnalysis finds the period and damping of a recorded swing', () => {
+    const t = [], y = [], random = P.mulberry32(1);
+    for (let i = 0; i < 1500; i++) { // 30 s at 50 Hz of a 2 s oscillation decaying at 0.05 s⁻¹, plus an offset and noise
+        t.push(i * 0.02);
+        y.push(0.3 + 10 * Math.exp(-0.05 * t[i]) * Math.sin(Math.PI * t[i]) + 0.3 * P.gaussianRandom(random));
+    }
+    const crossings = P.oscillationAnalysis(t, y, 'crossings');
+    close(crossings.period, 2, 3 * crossings.dPeriod, 'period');
+    assert.ok(crossings.dPeriod > 0 && crossings.dPeriod < 0.002);
+    assert.equal(crossings.cycles, crossings.crossings.length - 1);
+    close(crossings.cycles * crossings.period, crossings.duration, 0.02, 'duration');
+    close(crossings.decayRate, 0.05, 0.003, 'decay rate');
+    const spectrum = P.oscillationAnalysis(t, y, 'spectrum');
+    close(spectrum.period, 2, 3 * spectrum.dPeriod, 'spectral period');
+    assert.ok(spectrum.dPeriod > 0 && spectrum.dPeriod < 0.005);
+    assert.match(P.oscillationAnalysis(t.slice(0, 60), y.slice(0, 60), 'crossings').error, /two whole oscillations/);
+    assert.match(P.oscillationAnalysis([...t].reverse(), y, 'crossings').error, /increase/);
+});
+
+test('flywheelRotationAnalysis recovers t and n₂ from an angle log', () => {
+    const fall = P.flywheelFall({ m: 0.25, r: 0.02, n1: 10, I: 0.005, Tf: 0.002, g: 9.81 });
+    const release = 1.5, top = 2 * 10 / fall.t; // Rotations per second when the string leaves the axle
+    const coast = 2 * fall.n2 / top;
+    const t = [], rotations = [];
+    for (let time = 0; time < release + fall.t + coast + 2; time += 0.01) {
+        const s = time - release;
+        t.push(time);
+        if (s <= 0) rotations.push(0);
+        else if (s <= fall.t) rotations.push(top * s * s / (2 * fall.t));
+        else rotations.push(10 + top * Math.min(s - fall.t, coast) - top * Math.pow(Math.min(s - fall.t, coast), 2) / (2 * coast));
+    }
+    const motion = P.flywheelRotationAnalysis(t, rotations);
+    close(motion.t, fall.t, 0.01, 't');
+    close(motion.n2, fall.n2, 0.05, 'n2');
+    close(motion.n1, 10, 0.05, 'n1');
+    close(motion.release, release, 0.01, 'release');
+    assert.match(P.flywheelRotationAnalysis(t, t.map(() => 0)).error, /does not turn/);
+});
+
+test('pendulum: small-swing period from the integrator matches 2π√(L/g)', () => {
+    const t = P.pendulumOscillationTime({ g: 9.81, L: 1, b: 0 }, 0.01, 10);
+    close(t / 10, 2 * Math.PI * Math.sqrt(1 / 9.81), 1e-4, 'T');
+});
+
+test('pendulum: a swing that dies out gives null', () => {
+    assert.equal(P.pendulumOscillationTime({ g: 9.81, L: 1, b: 5 }, 0.05, 20), null);
+});
+
+test('pendulum: a release to the negative side times like the positive side', () => {
+    const params = { g: 9.81, L: 1, b: 0.01 };
+    close(P.pendulumOscillationTime(params, -0.1, 10), P.pendulumOscillationTime(params, 0.1, 10), 1e-9, 't');
+});
+
+test('pendulum: a swing that cannot start gives null instead of hanging', () => {
+    assert.equal(P.pendulumOscillationTime({ g: 9.81, L: 1, b: 0 }, 0, 10), null);
+    assert.equal(P.pendulumOscillationTime({ g: 9.81, L: 1, b: 0 }, NaN, 10), null);
+    assert.equal(P.pendulumOscillationTime({ g: 9.81, L: 0, b: 0 }, 0.1, 10), null);
+    assert.equal(P.pendulumOscillationTime({ g: 9.81, L: 1, b: 10 }, 0.1, 10), null);
+});
+
+test('pendulum: g is recovered from noise-free readings', () => {
+    const g = 9.81;
+    let readings = [];
+    for (const L of [0.5, 1.0, 1.5, 2.0]) {
+        const t = 20 * 2 * Math.PI * Math.sqrt(L / g);
+        const reading = P.derivePendulumReading({ L: L, theta0: 0, n: 20, t: t });
+        readings = readings.concat(Object.assign(reading, { sno: readings.length + 1 }));
+    }
+    const analysis = P.analyzePendulum(readings, { length: 0.001, time: 0.01 });
+    close(analysis.g, g, 1e-9, 'g');
+    close(analysis.dg.fit, 0, 1e-6, 'fit contribution');
+    assert.ok(analysis.dg.instrument > 0);
+});
+
+test('pendulum: the amplitude correction removes most of the finite-amplitude error', () => {
+    const params = { g: 9.81, b: 0 };
+    const readings = [0.5, 1.0, 1.5].map(L => P.derivePendulumReading({ L: L, theta0: 20, n: 10, t: P.pendulumOscillationTime(Object.assign({ L: L }, params), 20 * Math.PI / 180, 10) }));
+    const analysis = P.analyzePendulum(readings, { length: 0.001, time: 0.01 });
+    assert.ok(Math.abs(analysis.corrected.g - 9.81) < Math.abs(analysis.g - 9.81) / 10);
+});
+
+test('flywheel: the energy formula recovers I from a simulated fall', () => {
+    const fall = P.flywheelFall({ m: 0.25, r: 0.02, n1: 10, I: 0.005, Tf: 0.002, g: 9.81 });
+    const reading = P.deriveFlywheelReading({ m: 0.25, r: 0.02, n1: 10, t: fall.t, n2: fall.n2 }, 9.81);
+    close(reading.I, 0.005, 1e-12, 'I');
+    close(reading.a, fall.a, 1e-12, 'a');
+});
+
+test('flywheel: a mass that cannot overcome friction is refused', () => {
+    assert.deepEqual(P.flywheelFall({ m: 0.001, r: 0.02, n1: 10, I: 0.005, Tf: 0.002, g: 9.81 }), { error: 'Mass is too light.' });
+});
+
+test('flywheel: readings giving I <= 0 are reported as non-physical', () => {
+    // A fall faster than free fall makes g t² - 2h negative
+    assert.deepEqual(P.deriveFlywheelReading({ m: 0.25, r: 0.02, n1: 10, t: 0.1, n2: 50 }, 9.81), { error: 'Non-physical result. Check inputs.' });
+    assert.deepEqual(P.deriveFlywheelReading({ m: 0.25, r: 0.02, n1: 0, t: 3, n2: 0 }, 9.81), { error: 'Invalid parameters.' });
+});
+
+test('flywheel: the graph method separates I and the friction torque', () => {
+    const readings = [0.2, 0.3, 0.4, 0.5].map((m, i) => {
+        const fall = P.flywheelFall({ m: m, r: 0.02, n1: 10, I: 0.015, Tf: 0.004, g: 9.81 });
+        return Object.assign(P.deriveFlywheelReading({ m: m, r: 0.02, n1: 10, t: fall.t, n2: fall.n2 }, 9.81), { sno: i + 1 });
+    });
+    const analysis = P.analyzeFlywheel(readings, { radius: 0.0001, time: 0.01 }, 9.81);
+    close(analysis.mean, 0.015, 1e-12, 'mean I');
+    close(analysis.graph.fit.slope, 0.015, 1e-9, 'I from slope');
+    close(analysis.graph.fit.intercept, 0.004, 1e-9, 'Tf from intercept');
+    assert.equal(P.flywheelGraphMethod(readings.slice(0, 1)), null);
+});
+
+test('bar pendulum: g and K are recovered from noise-free readings', () => {
+    const g = 9.81, K = 1 / Math.sqrt(12);
+    const readings = [];
+    for (let cm = -45; cm <= 45; cm += 5) {
+        if (cm === 0) continue;
+        const d = cm / 100;
+        readings.push(P.deriveBarPendulumReading({ d: d, n: 10, t: 10 * P.barPendulumPeriod(d, K, g) }));
+    }
+    const analysis = P.analyzeBarPendulum(readings);
+    close(analysis.gFit, g, 1e-9, 'g from fit');
+    close(analysis.KFit, K, 1e-9, 'K from fit');
+    assert.ok(analysis.graph, 'graph method applies');
+    close(analysis.graph.g, g, 0.1, 'g from graph');
+    close(analysis.graph.K, K, 0.01, 'K from graph');
+    assert.equal(analysis.g, analysis.graph.g);
+    assert.equal(analysis.dg, null, 'the fit error does not carry over to the graph method');
+    assert.equal(P.analyzeBarPendulum(readings.filter(r => r.d > 0)).dg, P.analyzeBarPendulum(readings.filter(r => r.d > 0)).dgFit);
+    assert.match(P.deriveBarPendulumReading({ d: 0, n: 10, t: 15 }).error, /centre of mass/);
+});
+
+test('torsion pendulum: η is recovered by both methods', () => {
+    const eta = 79.3e9, r = 0.0005, M = 1, R = 0.1;
+    const reading = (l, mRing) => {
+        const T = P.torsionPeriod(M * R * R / 2 + mRing * R * R, eta, r, l);
+        return P.deriveTorsionReading({ l: l, mRing: mRing, r: r, M: M, R: R, n: 10, t: 10 * T });
+    };
+    const leastCounts = { wireRadius: 0.00001, length: 0.001 };
+    const byLength = P.analyzeTorsion([0.4, 0.6, 0.8, 1.0].map(l => reading(l, 0)), 'length', leastCounts);
+    close(byLength.eta / eta, 1, 1e-9, 'η from lengths');
+    assert.ok(byLength.consistent);
+    const byRings = P.analyzeTorsion([0, 0.1, 0.2, 0.3].map(m => reading(0.8, m)), 'rings', leastCounts);
+    close(byRings.eta / eta, 1, 1e-9, 'η from rings');
+    close(byRings.I0, M * R * R / 2, 1e-12, 'I₀');
+    close(byRings.wireError, 0.08, 1e-12, '4δr/r');
+    assert.equal(P.analyzeTorsion([reading(0.8, 0), reading(0.6, 0.1)], 'rings', leastCounts).consistent, false);
+});
+
+test('free fall: every method recovers g, and release finds the timing offset', () => {
+    const g = 9.81, offset = 0.015;
+    const readings = [];
+    for (const h2 of [0.4, 0.6, 0.8, 1.0, 1.2]) {
+        const h1 = 0.2;
+        readings.push(P.deriveFreeFallReading({ h1: h1, h2: h2, t1: P.freeFallGateTime(h1, g, offset), t2: P.freeFallGateTime(h2, g, offset) }));
+    }
+    // 2h/t = g t - 2gδ + gδ²/t is a straight line only to first order in the offset δ
+    const release = P.analyzeFreeFall(readings, 'release');
+    close(release.g, g, 0.05, 'g (release)');
+    close(release.offset, offset, 0.001, 'offset');
+    const gates = P.analyzeFreeFall(readings, 'gates');
+    close(gates.g, g, 1e-9, 'g (gates)');
+    close(gates.v1, Math.sqrt(2 * g * 0.2), 1e-9, 'v₁');
+    assert.ok(gates.sameGate1);
+    // With a timing offset h vs t² is not a straight line through the origin, so only check it is close
+    close(P.analyzeFreeFall(readings, 'squared').g, g, 0.5, 'g (squared)');
+});
+
+test('free fall: readings with the gates out of order are refused', () => {
+    assert.match(P.deriveFreeFallReading({ h1: 0.5, h2: 0.3, t1: 0.3, t2: 0.25 }).error, /below gate 1/);
+    assert.match(P.deriveFreeFallReading({ h1: 0.3, h2: 0.5, t1: 0.3, t2: 0.25 }).error, /trigger after/);
+});